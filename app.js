@@ -1,16 +1,30 @@
 const App = {
     data: null,
     container: document.getElementById('app'),
+    announcer: document.getElementById('route-announcer'),
+    widgetObserver: null,
+    currentSlug: null,
+    // ?preview, or localStorage "bgm-preview" set to "1": drafts and scheduled stories show, with a banner
+    preview: false,
+    previewStates: new Map(),
 
     async init() {
         try {
             // Fetch content with cache-busting
             const res = await fetch(`content.json?t=${Date.now()}`);
-            this.data = await res.json();
+            // content.json is authored in the spec shape; App still renders the legacy one,
+            // minus drafts and embargoed stories (publishing.js)
+            this.preview = this.isPreview();
+            const spec = BGM_Publishing.visibleContent(BGM_ContentAdapter.toSpec(await res.json()), { preview: this.preview });
+            this.previewStates = new Map((spec.articles || [])
+                .filter(article => article.previewState)
+                .map(article => [article.id, { state: article.previewState, publishedAt: article.publishedAt }]));
+            this.data = BGM_ContentAdapter.toLegacy(spec);
 
             // Handle Navigation
             window.addEventListener('popstate', () => this.router());
             window.addEventListener('scroll', this.handleScroll);
+            this.container.addEventListener('click', (e) => this.handleClick(e));
             this.router();
         } catch (e) {
             console.error(e);
@@ -18,12 +32,24 @@ const App = {
         }
     },
 
+    isPreview() {
+        if (new URLSearchParams(window.location.search).has('preview')) return true;
+        try {
+            return localStorage.getItem('bgm-preview') === '1';
+        } catch (e) {
+            return false;
+        }
+    },
+
     async router() {
         const params = new URLSearchParams(window.location.search);
         const articleSlug = params.get('article');
+        const previousSlug = this.currentSlug;
+        this.currentSlug = articleSlug;
 
-        // Use View Transition API if available
-        if (document.startViewTransition) {
+        // Use View Transition API if available, unless the reader asked for less motion
+        const reduceMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+        if (document.startViewTransition && !reduceMotion) {
             await document.startViewTransition(() => {
                 this.updateView(articleSlug);
                 window.scrollTo(0, 0);
@@ -32,6 +58,22 @@ const App = {
             this.updateView(articleSlug);
             window.scrollTo(0, 0);
         }
+        this.settleFocus(articleSlug, previousSlug);
+    },
+
+    // Article views focus their heading; coming back home focuses the card that opened the article
+    settleFocus(articleSlug, previousSlug) {
+        const links = [...this.container.querySelectorAll('[data-article]')].filter(link => link.dataset.article === previousSlug);
+        const target = articleSlug
+            ? this.container.querySelector('.art-h1')
+            : links.find(link => link.classList.contains('card')) || links[0];
+        if (target) {
+            if (!target.matches('a, button')) target.setAttribute('tabindex', '-1');
+            target.focus({ preventScroll: true });
+        }
+        if (this.announcer && (articleSlug || previousSlug)) {
+            this.announcer.textContent = articleSlug ? (this.data.articles[articleSlug]?.title || 'Story not found') : 'Home';
+        }
     },
 
     updateView(articleSlug) {
@@ -77,7 +119,7 @@ const App = {
                     <h1 class="hero-title">${featured.headline}</h1>
                     <p class="hero-sub">${featured.subhead}</p>
                     <div>
-                        <button onclick="App.nav('${featured.linkId}')" class="btn btn-primary">Read Story</button>
+                        <a href="?article=${featured.linkId}" data-article="${featured.linkId}" class="btn btn-primary">Read Story</a>
                     </div>
                 </div>
             </header>
@@ -115,13 +157,13 @@ const App = {
                 // TYPE 3: STANDARD ARTICLES
                 else {
                     html += `
-                        <div class="card card-std" onclick="App.nav('${item.id}')">
-                            <img src="${item.image}" loading="lazy" style="view-transition-name: thumb-${item.id}">
+                        <a href="?article=${item.id}" data-article="${item.id}" class="card card-std">
+                            <img src="${item.image}" alt="" loading="lazy" style="view-transition-name: thumb-${item.id}">
                             <div class="card-info">
                                 <span class="card-tag">${item.category || 'Article'}</span>
                                 <h3 class="card-title">${item.title}</h3>
                             </div>
-                        </div>`;
+                        </a>`;
                 }
             });
             html += `</div><br>`;
@@ -135,16 +177,17 @@ const App = {
     /* --- ARTICLE VIEW --- */
     renderArticle(id) {
         const art = this.data.articles[id];
-        if (!art) return this.router(); // Safety redirect if not found
+        if (!art) return this.renderNotFound();
 
         // Dynamic Back Button
         let html = `
-            <button onclick="history.back()" class="nav-back">←</button>
+            <button type="button" data-back class="nav-back" aria-label="Back">←</button>
             <article class="article-view">
                 <header class="art-hero">
                     <img src="${art.hero}" style="view-transition-name: thumb-${id}">
                     <div class="hero-overlay"></div>
                     <div class="art-header">
+                        ${this.renderPreviewBanner(id)}
                         <span class="hero-tag">${art.label || 'CINEMATIC'}</span>
                         <h1 class="art-h1">${art.title}</h1>
                         <p style="color:var(--text-muted); font-size:1.1rem">${art.sub || ''}</p>
@@ -181,13 +224,7 @@ const App = {
                         <div class="block-data">
                             <span class="hero-tag" style="background:rgba(255,255,255,0.1); color:#fff">LIVE DATA</span>
                             <h3 style="margin:10px 0 0">${b.caption || 'Data Visualization'}</h3>
-                            <div class="data-bar-wrap">
-                                <div class="data-bar" data-h="40%"></div>
-                                <div class="data-bar" data-h="75%"></div>
-                                <div class="data-bar" data-h="55%"></div>
-                                <div class="data-bar" data-h="90%" style="background:#fff; box-shadow:0 0 15px white;"></div>
-                                <div class="data-bar" data-h="60%"></div>
-                            </div>
+                            ${this.renderDataBars(b.values || [40, 75, 55, 90, 60], b.values ? b.highlightIndex : 3)}
                         </div>`;
                 }
             });
@@ -198,6 +235,29 @@ const App = {
         this.animateWidgets();
     },
 
+    // Unknown ids, and drafts or embargoed stories outside preview
+    renderNotFound() {
+        this.container.innerHTML = `
+            <button type="button" data-back class="nav-back" aria-label="Back">←</button>
+            <article class="article-view not-found-view">
+                <div class="art-header">
+                    <span class="hero-tag">404</span>
+                    <h1 class="art-h1">Story not found</h1>
+                    <p style="color:var(--text-muted); font-size:1.1rem">It may have moved or not be published yet.</p>
+                </div>
+            </article>`;
+    },
+
+    // Preview mode only: the story readers can't see yet, and why
+    renderPreviewBanner(id) {
+        const preview = this.previewStates.get(id);
+        if (!preview) return '';
+        const detail = preview.state === 'draft'
+            ? 'Not published; visible in preview only.'
+            : `Goes live ${new Date(preview.publishedAt).toLocaleString()}; visible in preview only.`;
+        return `<p class="preview-banner" role="note"><strong>${preview.state === 'draft' ? 'Draft' : 'Scheduled'}</strong> ${detail}</p>`;
+    },
+
     /* --- HELPERS & WIDGETS --- */
     renderWidgetCard(item) {
         // Placeholder for Sparklines / Heatmaps in the carousel
@@ -206,6 +266,8 @@ const App = {
             content = `<svg viewBox="0 0 100 40" class="spark-line" style="width:100%; height:80px; stroke:var(--accent); fill:none; stroke-width:3;">
                 <path d="M0 20 Q 25 5, 50 20 T 100 20" />
              </svg>`;
+        } else if (item.type === 'bar') {
+            content = this.renderDataBars(item.values || [40, 75, 55, 90, 60], item.values ? item.highlightIndex : 3);
         } else if (item.type === 'heat') {
             content = `<div style="display:flex; gap:2px; height:80px; align-items:flex-end;">
                 <div style="flex:1; height:30%; background:#222"></div>
@@ -223,14 +285,55 @@ const App = {
         `;
     },
 
+    // Heights are relative to the largest value; animateWidgets() grows them in
+    renderDataBars(values, highlightIndex) {
+        const max = Math.max(...values.map(v => Math.abs(Number(v) || 0)), 1);
+        const bars = values.map((v, i) => {
+            const h = `${Math.round(Math.abs(Number(v) || 0) / max * 100)}%`;
+            const glow = i === highlightIndex ? ' style="background:#fff; box-shadow:0 0 15px white;"' : '';
+            return `<div class="data-bar" data-h="${h}"${glow}></div>`;
+        }).join('');
+        const rows = values.map((v, i) => `<tr><th scope="row">${i + 1}</th><td>${v}</td></tr>`).join('');
+        return `
+            <div class="data-bar-wrap" aria-hidden="true">${bars}</div>
+            <table class="visually-hidden"><thead><tr><th scope="col">Bar</th><th scope="col">Value</th></tr></thead><tbody>${rows}</tbody></table>`;
+    },
+
     animateWidgets() {
-        // Animate Data Bars
-        requestAnimationFrame(() => {
-            document.querySelectorAll('.data-bar').forEach(bar => {
+        const growBars = (wrap) => {
+            wrap.querySelectorAll('.data-bar').forEach(bar => {
                 const h = bar.getAttribute('data-h');
                 if (h) bar.style.height = h;
             });
-        });
+        };
+
+        if (this.widgetObserver) this.widgetObserver.disconnect();
+        if (!('IntersectionObserver' in window)) {
+            requestAnimationFrame(() => document.querySelectorAll('.data-bar-wrap').forEach(growBars));
+            return;
+        }
+
+        // Animate Data Bars only once they scroll into view
+        this.widgetObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (!entry.isIntersecting) return;
+                this.widgetObserver.unobserve(entry.target);
+                requestAnimationFrame(() => growBars(entry.target));
+            });
+        }, { threshold: 0.3 });
+        document.querySelectorAll('.data-bar-wrap').forEach(wrap => this.widgetObserver.observe(wrap));
+    },
+
+    // Cards are real links; plain clicks stay in the app, modified clicks open a new tab as usual
+    handleClick(e) {
+        if (e.target.closest('[data-back]')) {
+            history.back();
+            return;
+        }
+        const link = e.target.closest('a[data-article]');
+        if (!link || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+        e.preventDefault();
+        this.nav(link.dataset.article);
     },
 
     nav(id) {
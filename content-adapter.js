@@ -0,0 +1,360 @@
+// Normalizes content.json into the spec.md §3 shape, whichever shape it was
+// authored in. The legacy shape (`featured`, `categories[]`, `articles` keyed
+// by id) is what app.js was built against; `toLegacy` projects a spec
+// document back onto it so both engines can read the same file.
+// Loads as a classic script (window.BGM_ContentAdapter) or through require().
+(function (root) {
+  const DEFAULT_NAVIGATION = [
+    { id: "home", label: "Home", href: "#home", icon: "grid" },
+    { id: "latest", label: "Latest", href: "#latest", icon: "bolt" },
+    { id: "watch", label: "Watch", href: "#watch", icon: "play" },
+    { id: "search", label: "Search", href: "#search", icon: "search" },
+    { id: "saved", label: "Saved", href: "#saved", icon: "bookmark" }
+  ];
+  const WORDS_PER_MINUTE = 200;
+  const YOUTUBE_ID_PATTERN = /(?:youtube\.com\/(?:watch\?(?:.*&)?v=|embed\/|shorts\/)|youtu\.be\/)([\w-]{6,})/;
+  const LEGACY_INFOGRAPHIC_VALUES = [40, 75, 55, 90, 60];
+  const LEGACY_INFOGRAPHIC_HIGHLIGHT = 3;
+
+  function escapeHTML(value) {
+    return String(value ?? "")
+      .replaceAll("&", "&amp;")
+      .replaceAll("<", "&lt;")
+      .replaceAll(">", "&gt;")
+      .replaceAll('"', "&quot;")
+      .replaceAll("'", "&#39;");
+  }
+
+  function slugify(value) {
+    return String(value ?? "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "");
+  }
+
+  function youtubeUrl(id) {
+    return `https://www.youtube.com/watch?v=${id}`;
+  }
+
+  function youtubeId(src) {
+    const match = String(src ?? "").match(YOUTUBE_ID_PATTERN);
+    return match ? match[1] : null;
+  }
+
+  function estimateReadingMinutes(blocks) {
+    const words = blocks
+      .map((block) => block.text || "")
+      .join(" ")
+      .split(/\s+/)
+      .filter(Boolean).length;
+    return Math.max(1, Math.round(words / WORDS_PER_MINUTE));
+  }
+
+  /**
+   * @param {object} content
+   * @returns {"spec"|"legacy"|"unknown"}
+   */
+  function detectShape(content) {
+    if (!content || typeof content !== "object") {
+      return "unknown";
+    }
+    if (Array.isArray(content.articles) || content.meta) {
+      return "spec";
+    }
+    if (content.featured || Array.isArray(content.categories) || (content.articles && typeof content.articles === "object")) {
+      return "legacy";
+    }
+    return "unknown";
+  }
+
+  function legacyBlocksToSpec(legacyBlocks) {
+    const widgets = [];
+    const blocks = [];
+    const addWidget = (type, data) => {
+      const id = `${type}-${widgets.length + 1}`;
+      widgets.push({ id, type, data });
+      blocks.push({ type: "widget", widgetRef: id });
+    };
+
+    for (const block of legacyBlocks || []) {
+      if (block.type === "text") {
+        blocks.push({ type: "paragraph", text: block.content || "" });
+      } else if (block.type === "image") {
+        blocks.push({ type: "image", src: block.content || block.src || "", alt: block.alt || "", caption: block.caption, loading: "lazy" });
+      } else if (block.type === "video") {
+        const source = block.content || block.id || "";
+        addWidget("video-player", {
+          src: (youtubeId(source) || source.includes("/")) ? source : youtubeUrl(source),
+          label: block.caption,
+          controls: true,
+          muted: false,
+          autoplay: false,
+          preload: "metadata"
+        });
+      } else if (block.type === "infographic") {
+        addWidget("bar", {
+          label: block.caption || "Data Visualization",
+          values: block.values || LEGACY_INFOGRAPHIC_VALUES,
+          categories: block.categories,
+          highlightIndex: block.values ? block.highlightIndex : LEGACY_INFOGRAPHIC_HIGHLIGHT
+        });
+      }
+    }
+    return { blocks, widgets };
+  }
+
+  // Legacy files carry no dates: articles get `publishedAt` and meta `generatedAt` only when
+  // the caller knows them, never the time of the conversion
+  function legacyToSpec(legacy, { publishedAt, generatedAt } = {}) {
+    const featured = legacy.featured || {};
+    const categories = Array.isArray(legacy.categories) ? legacy.categories : [];
+    const legacyArticles = legacy.articles && typeof legacy.articles === "object" ? legacy.articles : {};
+    const articles = new Map();
+
+    for (const [id, source] of Object.entries(legacyArticles)) {
+      const { blocks, widgets } = legacyBlocksToSpec(source.blocks);
+      const isFeatured = id === featured.linkId;
+      articles.set(id, {
+        id,
+        slug: id,
+        title: source.title || (isFeatured ? featured.headline : id),
+        dek: source.sub || (isFeatured ? featured.subhead : "") || "",
+        kicker: source.label || (isFeatured ? featured.type : "") || "",
+        authors: [],
+        ...(publishedAt ? { publishedAt } : {}),
+        readingMinutes: estimateReadingMinutes(blocks),
+        tags: [],
+        hero: {
+          image: { src: source.hero || (isFeatured ? featured.image : "") || "", alt: source.title || "", loading: "eager" },
+          video: isFeatured && featured.videoBrief ? { src: youtubeUrl(featured.videoBrief) } : null
+        },
+        widgets,
+        blocks
+      });
+    }
+
+    // Standard category cards point at ids that may have no article body yet.
+    for (const category of categories) {
+      if (category.type === "shorts" || category.type === "widgets") {
+        continue;
+      }
+      for (const item of category.items || []) {
+        const existing = articles.get(item.id);
+        if (existing) {
+          existing.kicker = existing.kicker || item.category || "";
+          if (item.category && !existing.tags.includes(slugify(item.category))) {
+            existing.tags.push(slugify(item.category));
+          }
+          continue;
+        }
+        articles.set(item.id, {
+          id: item.id,
+          slug: item.id,
+          title: item.title || item.id,
+          dek: "",
+          kicker: item.category || "",
+          authors: [],
+          ...(publishedAt ? { publishedAt } : {}),
+          readingMinutes: 1,
+          tags: item.category ? [slugify(item.category)] : [],
+          hero: { image: { src: item.image || "", alt: "", loading: "lazy" }, video: null },
+          widgets: [],
+          blocks: []
+        });
+      }
+    }
+
+    const rails = categories.map((category) => {
+      const rail = { id: slugify(category.title), title: category.title || "", type: "standard", items: [] };
+      if (category.type === "shorts") {
+        rail.type = "clips";
+        rail.external = (category.items || []).map((item) => ({
+          id: item.id,
+          title: item.title || "",
+          image: item.image || "",
+          href: item.link || `https://instagram.com/reel/${item.id}`
+        }));
+      } else if (category.type === "widgets") {
+        rail.type = "widgets";
+        rail.widgets = (category.items || []).map((item, index) => ({
+          id: `${rail.id}-${index + 1}`,
+          type: item.type,
+          data:
+            item.type === "bar"
+              ? { label: item.title || "", values: item.values || LEGACY_INFOGRAPHIC_VALUES, categories: item.categories, highlightIndex: item.values ? item.highlightIndex : LEGACY_INFOGRAPHIC_HIGHLIGHT }
+              : { label: item.title || "" }
+        }));
+      } else {
+        rail.items = (category.items || []).map((item) => item.id).filter((id) => articles.has(id));
+      }
+      return rail;
+    });
+
+    const feed = [];
+    if (articles.has(featured.linkId)) {
+      feed.push({ articleId: featured.linkId, priority: 1, layout: { colSpan: 2, rowSpan: 2, aspect: "16:9" } });
+    }
+    for (const rail of rails) {
+      for (const id of rail.items) {
+        if (!feed.some((entry) => entry.articleId === id)) {
+          feed.push({ articleId: id, priority: feed.length + 1, layout: { colSpan: 1, rowSpan: 1, aspect: "4:3" } });
+        }
+      }
+    }
+
+    return {
+      meta: {
+        siteName: legacy.site?.name || "Breaking Ground",
+        description: legacy.site?.description || "",
+        logo: legacy.site?.logo || "",
+        version: "1.0.0",
+        ...(generatedAt ? { generatedAt } : {}),
+        defaultRoute: "home"
+      },
+      navigation: { primary: DEFAULT_NAVIGATION.map((item) => ({ ...item })) },
+      home: {
+        headline: "Top Stories",
+        featured: articles.has(featured.linkId) ? [featured.linkId] : [],
+        feed,
+        rails
+      },
+      articles: [...articles.values()]
+    };
+  }
+
+  /**
+   * Returns the content in spec shape. Spec documents pass through untouched.
+   * @param {object} content
+   * @param {{ publishedAt?: string, generatedAt?: string }} [options] - known dates for legacy files, which have none
+   */
+  function toSpec(content, options) {
+    const shape = detectShape(content);
+    if (shape === "spec") {
+      return content;
+    }
+    if (shape === "legacy") {
+      return legacyToSpec(content, options);
+    }
+    throw new Error("Unrecognized content.json shape (expected spec.md §3 or legacy App format)");
+  }
+
+  function specBlocksToLegacy(article) {
+    const widgetsById = new Map((article.widgets || []).map((widget) => [widget.id, widget]));
+    const blocks = [];
+    for (const block of article.blocks || []) {
+      if (block.type === "paragraph" || block.type === "heading") {
+        // App inserts text blocks as raw HTML.
+        blocks.push({ type: "text", content: escapeHTML(block.text) });
+      } else if (block.type === "quote") {
+        blocks.push({ type: "text", content: `<em>“${escapeHTML(block.text)}”</em>${block.cite ? ` — ${escapeHTML(block.cite)}` : ""}` });
+      } else if (block.type === "list" || block.type === "callout") {
+        const items = (block.items || []).map((item) => `<li>${escapeHTML(item)}</li>`).join("");
+        const tag = block.style === "ordered" ? "ol" : "ul";
+        const text = [block.title && `<strong>${escapeHTML(block.title)}</strong>`, block.text && escapeHTML(block.text)].filter(Boolean).join("<br>");
+        blocks.push({ type: "text", content: `${text}${items ? `<${tag}>${items}</${tag}>` : ""}` });
+      } else if (block.type === "image") {
+        blocks.push({ type: "image", content: block.src || "" });
+      } else if (block.type === "gallery") {
+        for (const image of block.images || []) {
+          blocks.push({ type: "image", content: image.src || "" });
+        }
+      } else if (block.type === "video" && youtubeId(block.src)) {
+        blocks.push({ type: "video", content: youtubeId(block.src), caption: block.caption });
+      } else if (block.type === "widget") {
+        const widget = widgetsById.get(block.widgetRef);
+        const data = widget?.data || article.widget_data?.[widget?.dataRef || ""] || {};
+        if (widget?.type === "video-player" && youtubeId(data.src)) {
+          blocks.push({ type: "video", content: youtubeId(data.src), caption: data.label });
+        } else if (widget?.type === "bar") {
+          blocks.push({
+            type: "infographic",
+            variant: "bar",
+            caption: escapeHTML(data.label),
+            values: data.values,
+            categories: data.categories,
+            highlightIndex: data.highlightIndex
+          });
+        }
+      }
+    }
+    return blocks;
+  }
+
+  /**
+   * Projects a spec-shape document onto the legacy shape app.js renders.
+   * @param {object} spec
+   */
+  function toLegacy(spec) {
+    const articlesById = new Map((spec.articles || []).map((article) => [article.id, article]));
+    const featured = articlesById.get(spec.home?.featured?.[0]) || spec.articles?.[0] || {};
+    const card = (article) => ({
+      id: article.id,
+      title: escapeHTML(article.title),
+      category: escapeHTML(article.kicker),
+      image: article.hero?.image?.src || ""
+    });
+
+    const categories = (spec.home?.rails || []).map((rail) => {
+      if (rail.type === "clips" && Array.isArray(rail.external)) {
+        return {
+          title: escapeHTML(rail.title),
+          type: "shorts",
+          items: rail.external.map((item) => ({ id: item.id, title: escapeHTML(item.title), image: item.image, link: item.href }))
+        };
+      }
+      if (rail.type === "widgets") {
+        return {
+          title: escapeHTML(rail.title),
+          type: "widgets",
+          items: (rail.widgets || []).map((widget) =>
+            widget.type === "bar"
+              ? { title: escapeHTML(widget.data?.label), type: widget.type, values: widget.data?.values, categories: widget.data?.categories, highlightIndex: widget.data?.highlightIndex }
+              : { title: escapeHTML(widget.data?.label), type: widget.type }
+          )
+        };
+      }
+      return {
+        title: escapeHTML(rail.title),
+        type: "standard",
+        items: (rail.items || []).map((id) => articlesById.get(id)).filter(Boolean).map(card)
+      };
+    });
+
+    const articles = {};
+    for (const article of spec.articles || []) {
+      articles[article.id] = {
+        title: escapeHTML(article.title),
+        hero: article.hero?.image?.src || "",
+        label: escapeHTML(article.kicker),
+        sub: escapeHTML(article.dek),
+        blocks: specBlocksToLegacy(article)
+      };
+    }
+
+    return {
+      site: {
+        name: escapeHTML(spec.meta?.siteName),
+        logo: escapeHTML(spec.meta?.logo || "BGM"),
+        description: escapeHTML(spec.meta?.description)
+      },
+      featured: {
+        headline: escapeHTML(featured.title),
+        subhead: escapeHTML(featured.dek),
+        image: featured.hero?.image?.src || "",
+        type: escapeHTML(featured.kicker),
+        linkId: featured.id,
+        videoBrief: youtubeId(featured.hero?.video?.src)
+      },
+      categories,
+      articles
+    };
+  }
+
+  const api = { detectShape, toSpec, toLegacy, youtubeId };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  } else {
+    root.BGM_ContentAdapter = api;
+  }
+})(globalThis);
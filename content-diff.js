@@ -0,0 +1,141 @@
+// Structural diff between two spec-shape content documents, so observers can
+// react to the slices that actually changed instead of the whole file.
+// Loads as a classic script (window.BGM_ContentDiff) or through require().
+(function (root) {
+  function signature(value) {
+    return JSON.stringify(value ?? null);
+  }
+
+  // Short stable hash for DOM keys; collisions only cost an extra re-render.
+  function hashString(value) {
+    let hash = 5381;
+    for (let index = 0; index < value.length; index += 1) {
+      hash = ((hash << 5) + hash + value.charCodeAt(index)) | 0;
+    }
+    return (hash >>> 0).toString(36);
+  }
+
+  function diffKeyed(prevList, nextList, keyOf) {
+    const prevByKey = new Map((prevList || []).map((item, index) => [keyOf(item, index), item]));
+    const nextByKey = new Map((nextList || []).map((item, index) => [keyOf(item, index), item]));
+    const added = new Set();
+    const removed = new Set();
+    const changed = new Set();
+
+    for (const [key, item] of nextByKey) {
+      if (!prevByKey.has(key)) {
+        added.add(key);
+      } else if (signature(prevByKey.get(key)) !== signature(item)) {
+        changed.add(key);
+      }
+    }
+    for (const key of prevByKey.keys()) {
+      if (!nextByKey.has(key)) {
+        removed.add(key);
+      }
+    }
+    const reordered = signature([...prevByKey.keys()].filter((key) => nextByKey.has(key))) !==
+      signature([...nextByKey.keys()].filter((key) => prevByKey.has(key)));
+
+    return { added, removed, changed, reordered };
+  }
+
+  function railKey(rail, index) {
+    return rail?.id || `rail-${index}`;
+  }
+
+  /**
+   * @param {object|null} prev - previous document, or null on first load
+   * @param {object} next
+   * @returns {object} diff with per-slice change sets and a touches(slice) predicate
+   */
+  function diffContent(prev, next) {
+    const initial = !prev;
+    const { rails: prevRails, ...prevHome } = prev?.home || {};
+    const { rails: nextRails, ...nextHome } = next?.home || {};
+
+    const navigation = diffKeyed(prev?.navigation?.primary, next?.navigation?.primary, (item) => item.id);
+    const rails = diffKeyed(prevRails, nextRails, railKey);
+    const articles = diffKeyed(prev?.articles, next?.articles, (article) => article.id);
+
+    const widgets = new Map();
+    const prevArticles = new Map((prev?.articles || []).map((article) => [article.id, article]));
+    for (const article of next?.articles || []) {
+      if (!articles.changed.has(article.id)) {
+        continue;
+      }
+      const before = prevArticles.get(article.id);
+      const widgetDiff = diffKeyed(before.widgets, article.widgets, (widget) => widget.id);
+      const touched = new Set([...widgetDiff.added, ...widgetDiff.removed, ...widgetDiff.changed]);
+      // Shared widget_data entries are referenced by dataRef.
+      for (const widget of article.widgets || []) {
+        const ref = widget.dataRef;
+        if (ref && signature(before.widget_data?.[ref]) !== signature(article.widget_data?.[ref])) {
+          touched.add(widget.id);
+        }
+      }
+      if (touched.size > 0) {
+        widgets.set(article.id, touched);
+      }
+    }
+
+    const changedRails = new Set([...rails.added, ...rails.removed, ...rails.changed]);
+    const changedArticles = new Set([...articles.added, ...articles.removed, ...articles.changed]);
+    const changedNavigation = new Set([...navigation.added, ...navigation.removed, ...navigation.changed]);
+
+    const diff = {
+      initial,
+      meta: initial || signature(prev.meta) !== signature(next.meta),
+      navigation: initial || changedNavigation.size > 0 || navigation.reordered,
+      home: initial || signature(prevHome) !== signature(nextHome) || rails.reordered,
+      rails: changedRails,
+      articles,
+      widgets,
+
+      /**
+       * Slices: "meta", "navigation", "home", "rails", "rail:<id>",
+       * "articles", "article:<id>", "widget:<articleId>/<widgetId>".
+       */
+      touches(slice) {
+        if (initial) {
+          return true;
+        }
+        if (slice === "meta" || slice === "navigation" || slice === "home") {
+          return diff[slice];
+        }
+        if (slice === "rails") {
+          return changedRails.size > 0;
+        }
+        if (slice === "articles") {
+          return changedArticles.size > 0;
+        }
+        const [kind, id] = [slice.slice(0, slice.indexOf(":")), slice.slice(slice.indexOf(":") + 1)];
+        if (kind === "rail") {
+          return changedRails.has(id);
+        }
+        if (kind === "article") {
+          return changedArticles.has(id);
+        }
+        if (kind === "widget") {
+          const [articleId, widgetId] = id.split("/");
+          return Boolean(widgets.get(articleId)?.has(widgetId));
+        }
+        return false;
+      },
+
+      get isEmpty() {
+        return !initial && !diff.meta && !diff.navigation && !diff.home &&
+          changedRails.size === 0 && changedArticles.size === 0;
+      }
+    };
+    return diff;
+  }
+
+  const api = { diffContent, hashString, signature };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  } else {
+    root.BGM_ContentDiff = api;
+  }
+})(globalThis);
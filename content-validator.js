@@ -0,0 +1,738 @@
+// Validates content.json against the spec.md §3 contract.
+// Loads as a classic script before main.js (exposes window.BGM_Validator)
+// or through require() from the Node tooling in scripts/.
+(function (root) {
+  const ARTICLE_ID_PATTERN = /^[a-z0-9-]+$/;
+  const HEX_COLOR_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+  const PRELOAD_VALUES = ["none", "metadata", "auto"];
+  const LOADING_VALUES = ["lazy", "eager"];
+  // Matches ARTICLE_STATUSES in publishing.js
+  const ARTICLE_STATUSES = ["published", "draft"];
+  const SOURCE_FORMATS = ["json", "csv"];
+  // Matches MIN_WIDGET_REFRESH_MS in main.js
+  const MIN_SOURCE_REFRESH_MS = 5000;
+
+  // spec.md image objects; width/height, placeholder and variants are usually written
+  // by scripts/build-images.js
+  const IMAGE_FIELDS = {
+    src: { type: "string", required: true },
+    alt: { type: "string" },
+    caption: { type: "string" },
+    credit: { type: "string" },
+    width: { type: "number" },
+    height: { type: "number" },
+    loading: { type: "string", oneOf: LOADING_VALUES },
+    placeholder: { type: "string" },
+    variants: { type: "array", items: "object" }
+  };
+
+  // Field descriptors: { type, required, items, minItems, oneOf }.
+  // `check` runs after the field pass for cross-field rules.
+  const widgetSchemas = new Map([
+    [
+      "sparkline",
+      {
+        fields: {
+          label: { type: "string", required: true },
+          points: { type: "array", minItems: 2, required: true },
+          unit: { type: "string" },
+          color: { type: "color" }
+        },
+        // Points are numbers, or { at, value } when the x axis should show dates
+        check: (data, path, report) => {
+          (Array.isArray(data.points) ? data.points : []).forEach((point, index) => {
+            const pointPath = `${path}.points[${index}]`;
+            if (matchesType(point, "object")) {
+              checkFields(point, { value: { type: "number", required: true }, at: { type: "string" } }, pointPath, report);
+              if (typeof point.at === "string" && !isValidDate(point.at)) {
+                report(`${pointPath}.at`, "must be an ISO 8601 date");
+              }
+            } else if (!matchesType(point, "number")) {
+              report(pointPath, "must be a number or { at, value }");
+            }
+          });
+        }
+      }
+    ],
+    [
+      "heatmap",
+      {
+        fields: {
+          label: { type: "string" },
+          unit: { type: "string" },
+          xLabels: { type: "array", items: "string", minItems: 1, required: true },
+          yLabels: { type: "array", items: "string", minItems: 1, required: true },
+          values: { type: "array", items: "array", required: true },
+          min: { type: "number" },
+          max: { type: "number" },
+          palette: { type: "array", items: "color", minItems: 2, required: true }
+        },
+        check: (data, path, report) => {
+          if (typeof data.min === "number" && typeof data.max === "number" && data.min >= data.max) {
+            report(`${path}.max`, "must be greater than min");
+          }
+          if (!Array.isArray(data.values) || !Array.isArray(data.yLabels) || !Array.isArray(data.xLabels)) {
+            return;
+          }
+          if (data.values.length !== data.yLabels.length) {
+            report(`${path}.values`, `expected ${data.yLabels.length} rows (one per yLabel), got ${data.values.length}`);
+          }
+          data.values.forEach((row, rowIndex) => {
+            if (!Array.isArray(row)) {
+              return;
+            }
+            if (row.length !== data.xLabels.length) {
+              report(`${path}.values[${rowIndex}]`, `expected ${data.xLabels.length} cells (one per xLabel), got ${row.length}`);
+            }
+            row.forEach((cell, cellIndex) => {
+              if (typeof cell !== "number" || !Number.isFinite(cell)) {
+                report(`${path}.values[${rowIndex}][${cellIndex}]`, "must be a number");
+              }
+            });
+          });
+        }
+      }
+    ],
+    [
+      "video-player",
+      {
+        fields: {
+          src: { type: "string", required: true },
+          poster: { type: "string" },
+          captions: { type: "string" },
+          captionsLang: { type: "string" },
+          captionsLabel: { type: "string" },
+          label: { type: "string" },
+          autoplay: { type: "boolean" },
+          muted: { type: "boolean" },
+          controls: { type: "boolean" },
+          preload: { type: "string", oneOf: PRELOAD_VALUES }
+        }
+      }
+    ],
+    [
+      "bar",
+      {
+        fields: {
+          label: { type: "string" },
+          values: { type: "array", items: "number", minItems: 1, required: true },
+          categories: { type: "array", items: "string" },
+          comparison: { type: "object" },
+          seriesLabel: { type: "string" },
+          orientation: { type: "string", oneOf: ["vertical", "horizontal"] },
+          highlightIndex: { type: "number" },
+          unit: { type: "string" }
+        },
+        check: (data, path, report) => {
+          const count = Array.isArray(data.values) ? data.values.length : 0;
+          if (Array.isArray(data.categories) && data.categories.length !== count) {
+            report(`${path}.categories`, `expected ${count} labels (one per value), got ${data.categories.length}`);
+          }
+          if (matchesType(data.comparison, "object")) {
+            checkFields(
+              data.comparison,
+              { label: { type: "string" }, values: { type: "array", items: "number", required: true } },
+              `${path}.comparison`,
+              report
+            );
+            if (Array.isArray(data.comparison.values) && data.comparison.values.length !== count) {
+              report(`${path}.comparison.values`, `expected ${count} values (one per category), got ${data.comparison.values.length}`);
+            }
+          }
+          if (typeof data.highlightIndex === "number" && !(Number.isInteger(data.highlightIndex) && data.highlightIndex >= 0 && data.highlightIndex < count)) {
+            report(`${path}.highlightIndex`, `must be an index into values (0-${count - 1})`);
+          }
+        }
+      }
+    ],
+    [
+      "heat",
+      {
+        fields: {
+          label: { type: "string" },
+          riskScale: { type: "array", items: "string", minItems: 1 },
+          currentIndex: { type: "number" }
+        }
+      }
+    ]
+  ]);
+
+  // Article block types BGM_Core renders out of the box (its blockRegistry). Blocks
+  // of any other type are reported as warnings unless a schema is registered for them.
+  const blockSchemas = new Map([
+    ["paragraph", { fields: { text: { type: "string", required: true } } }],
+    ["heading", { fields: { text: { type: "string", required: true }, level: { type: "number" } } }],
+    ["image", { fields: IMAGE_FIELDS, check: checkImage }],
+    // widgetRef is checked against article.widgets[] by validateArticle
+    ["widget", { fields: { widgetRef: { type: "string", required: true } } }],
+    ["quote", { fields: { text: { type: "string", required: true }, cite: { type: "string" } } }],
+    [
+      "list",
+      {
+        fields: {
+          items: { type: "array", items: "string", minItems: 1, required: true },
+          style: { type: "string", oneOf: ["ordered", "unordered"] }
+        }
+      }
+    ],
+    [
+      "callout",
+      {
+        fields: {
+          title: { type: "string" },
+          text: { type: "string" },
+          items: { type: "array", items: "string" },
+          tone: { type: "string", oneOf: ["info", "fact", "warning"] }
+        },
+        check: (block, path, report) => {
+          if (block.text === undefined && block.items === undefined) {
+            report(path, "needs text or items");
+          }
+        }
+      }
+    ],
+    [
+      "gallery",
+      {
+        fields: {
+          images: { type: "array", items: "object", minItems: 1, required: true },
+          caption: { type: "string" }
+        },
+        check: (block, path, report) => {
+          (Array.isArray(block.images) ? block.images : []).forEach((image, index) => {
+            if (matchesType(image, "object")) {
+              checkFields(image, IMAGE_FIELDS, `${path}.images[${index}]`, report);
+              checkImage(image, `${path}.images[${index}]`, report);
+            }
+          });
+        }
+      }
+    ],
+    [
+      "video",
+      {
+        fields: {
+          src: { type: "string", required: true },
+          caption: { type: "string" },
+          poster: { type: "string" },
+          captions: { type: "string" }
+        }
+      }
+    ],
+    ["divider", { fields: {} }],
+    [
+      "footnotes",
+      {
+        fields: { items: { type: "array", items: "object", minItems: 1, required: true } },
+        check: (block, path, report) => {
+          const seen = new Set();
+          (Array.isArray(block.items) ? block.items : []).forEach((note, index) => {
+            if (!matchesType(note, "object")) {
+              return;
+            }
+            checkFields(note, { id: { type: "string", required: true }, text: { type: "string", required: true } }, `${path}.items[${index}]`, report);
+            if (seen.has(note.id)) {
+              report(`${path}.items[${index}].id`, `duplicate footnote id "${note.id}"`);
+            }
+            seen.add(note.id);
+          });
+        }
+      }
+    ]
+  ]);
+  const FOOTNOTE_MARKER = /\[\^([\w-]+)\]/g;
+
+  function typeOf(value) {
+    if (Array.isArray(value)) return "array";
+    if (value === null) return "null";
+    return typeof value;
+  }
+
+  function matchesType(value, type) {
+    if (type === "color") {
+      return typeof value === "string" && HEX_COLOR_PATTERN.test(value);
+    }
+    if (type === "number") {
+      return typeof value === "number" && Number.isFinite(value);
+    }
+    if (type === "object") {
+      return typeOf(value) === "object";
+    }
+    return typeOf(value) === type;
+  }
+
+  function describeType(type) {
+    return type === "color" ? "a hex color (#RGB or #RRGGBB)" : `a ${type}`;
+  }
+
+  function isValidDate(value) {
+    return typeof value === "string" && !Number.isNaN(new Date(value).getTime());
+  }
+
+  function createReport() {
+    const issues = [];
+    const push = (severity) => (path, message) => issues.push({ severity, path, message });
+    return { issues, error: push("error"), warn: push("warning") };
+  }
+
+  function checkFields(data, fields, path, report) {
+    for (const [name, rule] of Object.entries(fields)) {
+      const fieldPath = `${path}.${name}`;
+      const value = data[name];
+      if (value === undefined || value === null) {
+        if (rule.required) {
+          report(fieldPath, "is required");
+        }
+        continue;
+      }
+      if (!matchesType(value, rule.type)) {
+        report(fieldPath, `must be ${describeType(rule.type)}`);
+        continue;
+      }
+      if (rule.oneOf && !rule.oneOf.includes(value)) {
+        report(fieldPath, `must be one of: ${rule.oneOf.join(", ")}`);
+      }
+      if (rule.type !== "array") {
+        continue;
+      }
+      if (rule.minItems && value.length < rule.minItems) {
+        report(fieldPath, `needs at least ${rule.minItems} item(s)`);
+      }
+      if (rule.items) {
+        value.forEach((item, index) => {
+          if (!matchesType(item, rule.items)) {
+            report(`${fieldPath}[${index}]`, `must be ${describeType(rule.items)}`);
+          }
+        });
+      }
+    }
+  }
+
+  // Cross-field rules for an image object whose fields already passed IMAGE_FIELDS
+  function checkImage(image, path, report) {
+    if ((image.width === undefined) !== (image.height === undefined)) {
+      report(path, "needs both width and height (or neither)");
+    }
+    if (typeof image.placeholder === "string" && !image.placeholder.startsWith("data:image/")) {
+      report(`${path}.placeholder`, "must be a data:image/ URI");
+    }
+    (Array.isArray(image.variants) ? image.variants : []).forEach((variant, index) => {
+      if (matchesType(variant, "object")) {
+        checkFields(variant, { src: { type: "string", required: true }, width: { type: "number", required: true } }, `${path}.variants[${index}]`, report);
+      }
+    });
+  }
+
+  function validateWidgetData(type, data, path, report) {
+    const schema = widgetSchemas.get(type);
+    if (!schema) {
+      report.warn(`${path}`, `no schema registered for widget type "${type}"`);
+      return;
+    }
+    if (!matchesType(data, "object")) {
+      report.error(path, "must be an object");
+      return;
+    }
+    checkFields(data, schema.fields || {}, path, report.error);
+    if (schema.check) {
+      schema.check(data, path, report.error);
+    }
+  }
+
+  // A widget's live `source` (spec.md §3.4): fetched data is laid over `data`
+  function validateWidgetSource(source, path, report) {
+    if (!matchesType(source, "object")) {
+      report.error(path, "must be an object");
+      return;
+    }
+    checkFields(
+      source,
+      {
+        url: { type: "string", required: true },
+        format: { type: "string", oneOf: SOURCE_FORMATS },
+        path: { type: "string" },
+        fields: { type: "object" },
+        asOf: { type: "string" },
+        refreshMs: { type: "number" },
+        staleAfterMs: { type: "number" }
+      },
+      path,
+      report.error
+    );
+    if (matchesType(source.fields, "object")) {
+      for (const [field, fieldPath] of Object.entries(source.fields)) {
+        if (typeof fieldPath !== "string") {
+          report.error(`${path}.fields.${field}`, "must be a path string");
+        }
+      }
+    }
+    if (typeof source.refreshMs === "number" && source.refreshMs < MIN_SOURCE_REFRESH_MS) {
+      report.warn(`${path}.refreshMs`, `is raised to the ${MIN_SOURCE_REFRESH_MS}ms minimum`);
+    }
+  }
+
+  function validateMeta(meta, report) {
+    if (!matchesType(meta, "object")) {
+      report.error("$.meta", "is required");
+      return;
+    }
+    checkFields(
+      meta,
+      {
+        siteName: { type: "string", required: true },
+        version: { type: "string", required: true },
+        generatedAt: { type: "string", required: true },
+        defaultRoute: { type: "string" },
+        description: { type: "string" },
+        logo: { type: "string" },
+        siteUrl: { type: "string" }
+      },
+      "$.meta",
+      report.error
+    );
+    if (typeof meta.generatedAt === "string" && !isValidDate(meta.generatedAt)) {
+      report.error("$.meta.generatedAt", "must be an ISO 8601 date");
+    }
+    if (typeof meta.siteUrl === "string" && !/^https?:\/\/[^/]+(\/.*)?\/$/.test(meta.siteUrl)) {
+      report.error("$.meta.siteUrl", "must be an absolute http(s) URL ending in /");
+    }
+  }
+
+  function validateNavigation(navigation, report) {
+    if (navigation === undefined) {
+      report.warn("$.navigation", "is missing; the bottom nav will be empty");
+      return;
+    }
+    const primary = navigation?.primary;
+    if (!Array.isArray(primary)) {
+      report.error("$.navigation.primary", "must be an array");
+      return;
+    }
+    primary.forEach((item, index) => {
+      checkFields(
+        item || {},
+        {
+          id: { type: "string", required: true },
+          label: { type: "string", required: true },
+          href: { type: "string" }
+        },
+        `$.navigation.primary[${index}]`,
+        report.error
+      );
+    });
+  }
+
+  function validateHome(home, articleIds, report) {
+    if (!matchesType(home, "object")) {
+      report.error("$.home", "is required");
+      return;
+    }
+    const checkArticleRef = (id, path) => {
+      if (typeof id !== "string") {
+        report.error(path, "must be an article id string");
+      } else if (!articleIds.has(id)) {
+        report.error(path, `references unknown article "${id}"`);
+      }
+    };
+
+    if (!Array.isArray(home.feed)) {
+      report.error("$.home.feed", "must be an array");
+    } else {
+      home.feed.forEach((entry, index) => {
+        const path = `$.home.feed[${index}]`;
+        if (!matchesType(entry, "object")) {
+          report.error(path, "must be an object");
+          return;
+        }
+        checkArticleRef(entry.articleId, `${path}.articleId`);
+        if (entry.priority !== undefined && !matchesType(entry.priority, "number")) {
+          report.error(`${path}.priority`, "must be a number");
+        }
+        if (!matchesType(entry.layout, "object")) {
+          report.error(`${path}.layout`, "is required");
+          return;
+        }
+        checkFields(
+          entry.layout,
+          {
+            colSpan: { type: "number" },
+            rowSpan: { type: "number" },
+            aspect: { type: "string" }
+          },
+          `${path}.layout`,
+          report.error
+        );
+        if (typeof entry.layout.aspect === "string" && !/^\d+:\d+$/.test(entry.layout.aspect)) {
+          report.error(`${path}.layout.aspect`, 'must look like "16:9"');
+        }
+      });
+    }
+
+    (Array.isArray(home.featured) ? home.featured : []).forEach((id, index) => {
+      checkArticleRef(id, `$.home.featured[${index}]`);
+    });
+
+    (Array.isArray(home.rails) ? home.rails : []).forEach((rail, index) => {
+      (Array.isArray(rail?.items) ? rail.items : []).forEach((id, itemIndex) => {
+        checkArticleRef(id, `$.home.rails[${index}].items[${itemIndex}]`);
+      });
+      (Array.isArray(rail?.widgets) ? rail.widgets : []).forEach((widget, widgetIndex) => {
+        if (widget?.source !== undefined) {
+          validateWidgetSource(widget.source, `$.home.rails[${index}].widgets[${widgetIndex}].source`, report);
+        }
+      });
+    });
+  }
+
+  function validateArticle(article, path, report) {
+    if (!matchesType(article, "object")) {
+      report.error(path, "must be an object");
+      return;
+    }
+
+    checkFields(
+      article,
+      {
+        id: { type: "string", required: true },
+        title: { type: "string", required: true },
+        publishedAt: { type: "string", required: true },
+        blocks: { type: "array", items: "object", required: true },
+        dek: { type: "string" },
+        kicker: { type: "string" },
+        authors: { type: "array", items: "string" },
+        tags: { type: "array", items: "string" },
+        updatedAt: { type: "string" },
+        status: { type: "string", oneOf: ARTICLE_STATUSES },
+        readingMinutes: { type: "number" },
+        widgets: { type: "array", items: "object" }
+      },
+      path,
+      report.error
+    );
+
+    if (typeof article.id === "string" && !ARTICLE_ID_PATTERN.test(article.id)) {
+      report.error(`${path}.id`, "must be URL-safe ([a-z0-9-]+)");
+    }
+    for (const field of ["publishedAt", "updatedAt"]) {
+      if (typeof article[field] === "string" && !isValidDate(article[field])) {
+        report.error(`${path}.${field}`, "must be an ISO 8601 date");
+      }
+    }
+
+    const widgetsById = new Map();
+    (Array.isArray(article.widgets) ? article.widgets : []).forEach((widget, index) => {
+      const widgetPath = `${path}.widgets[${index}]`;
+      if (!matchesType(widget, "object")) {
+        return;
+      }
+      checkFields(
+        widget,
+        {
+          id: { type: "string", required: true },
+          type: { type: "string", required: true }
+        },
+        widgetPath,
+        report.error
+      );
+      if (typeof widget.id === "string") {
+        if (widgetsById.has(widget.id)) {
+          report.error(`${widgetPath}.id`, `duplicate widget id "${widget.id}"`);
+        }
+        widgetsById.set(widget.id, widget);
+      }
+      if (typeof widget.type !== "string") {
+        return;
+      }
+
+      if (widget.source !== undefined) {
+        validateWidgetSource(widget.source, `${widgetPath}.source`, report);
+      }
+      // A live source may fill in whatever the static data leaves out
+      const dataReport = widget.source !== undefined ? { error: report.warn, warn: report.warn } : report;
+      if (widget.data !== undefined) {
+        validateWidgetData(widget.type, widget.data, `${widgetPath}.data`, dataReport);
+      } else if (typeof widget.dataRef === "string") {
+        const shared = article.widget_data?.[widget.dataRef];
+        if (shared === undefined) {
+          report.error(`${widgetPath}.dataRef`, `references missing widget_data "${widget.dataRef}"`);
+        } else {
+          validateWidgetData(widget.type, shared, `${path}.widget_data.${widget.dataRef}`, dataReport);
+        }
+      } else if (widget.source === undefined) {
+        report.error(`${widgetPath}.data`, "is required (or provide dataRef or source)");
+      }
+    });
+
+    if (article.hero?.image !== undefined && article.hero?.image !== null) {
+      const imagePath = `${path}.hero.image`;
+      if (matchesType(article.hero.image, "object")) {
+        checkFields(article.hero.image, IMAGE_FIELDS, imagePath, report.error);
+        checkImage(article.hero.image, imagePath, report.error);
+      } else {
+        report.error(imagePath, "must be an object");
+      }
+    }
+
+    const blocks = Array.isArray(article.blocks) ? article.blocks : [];
+    const footnoteIds = new Set(
+      blocks
+        .filter((block) => block?.type === "footnotes" && Array.isArray(block.items))
+        .flatMap((block) => block.items.map((note) => note?.id))
+    );
+    blocks.forEach((block, index) => {
+      const blockPath = `${path}.blocks[${index}]`;
+      if (!matchesType(block, "object")) {
+        return;
+      }
+      if (typeof block.type !== "string") {
+        report.error(`${blockPath}.type`, "is required");
+        return;
+      }
+      for (const [, id] of JSON.stringify(block).matchAll(FOOTNOTE_MARKER)) {
+        if (!footnoteIds.has(id)) {
+          report.warn(blockPath, `references missing footnote "${id}"`);
+        }
+      }
+      if (block.type !== "widget") {
+        validateBlock(block, blockPath, report);
+        return;
+      }
+      if (typeof block.widgetRef !== "string") {
+        report.error(`${blockPath}.widgetRef`, "is required for widget blocks");
+      } else if (!widgetsById.has(block.widgetRef)) {
+        report.error(`${blockPath}.widgetRef`, `references unknown widget "${block.widgetRef}" (not in article.widgets[])`);
+      }
+    });
+  }
+
+  function validateBlock(block, path, report) {
+    const schema = blockSchemas.get(block.type);
+    if (!schema) {
+      report.warn(`${path}.type`, `no renderer known for block type "${block.type}"; it will not be shown`);
+      return;
+    }
+    checkFields(block, schema.fields || {}, path, report.error);
+    if (schema.check) {
+      schema.check(block, path, report.error);
+    }
+  }
+
+  /**
+   * Checks a parsed content.json document.
+   * @param {object} content
+   * @returns {{ valid: boolean, errors: Array<{path: string, message: string}>, warnings: Array<{path: string, message: string}> }}
+   */
+  function validateContent(content) {
+    const { issues, error, warn } = createReport();
+    const report = { error, warn };
+
+    if (!matchesType(content, "object")) {
+      error("$", "content must be a JSON object");
+    } else {
+      validateMeta(content.meta, report);
+      validateNavigation(content.navigation, report);
+
+      const articleIds = new Set();
+      if (!Array.isArray(content.articles)) {
+        error("$.articles", "must be an array");
+      } else {
+        content.articles.forEach((article, index) => {
+          const path = `$.articles[${index}]`;
+          validateArticle(article, path, report);
+          if (typeof article?.id !== "string") {
+            return;
+          }
+          if (articleIds.has(article.id)) {
+            error(`${path}.id`, `duplicate article id "${article.id}"`);
+          }
+          articleIds.add(article.id);
+        });
+      }
+
+      validateHome(content.home, articleIds, report);
+    }
+
+    const errors = issues.filter((issue) => issue.severity === "error");
+    const warnings = issues.filter((issue) => issue.severity === "warning");
+    return { valid: errors.length === 0, errors, warnings };
+  }
+
+  /**
+   * Checks one widget payload against the schema registered for its type.
+   * @returns {{ valid: boolean, errors: Array<{path: string, message: string}>, warnings: Array<{path: string, message: string}> }}
+   */
+  function validateWidget(type, data, path = "data") {
+    const { issues, error, warn } = createReport();
+    validateWidgetData(type, data, path, { error, warn });
+    const errors = issues.filter((issue) => issue.severity === "error");
+    const warnings = issues.filter((issue) => issue.severity === "warning");
+    return { valid: errors.length === 0, errors, warnings };
+  }
+
+  function registerWidgetSchema(type, schema) {
+    widgetSchemas.set(type, schema);
+  }
+
+  // For block types added with BGM_Core#registerBlock
+  function registerBlockSchema(type, schema) {
+    blockSchemas.set(type, schema);
+  }
+
+  function formatIssue(issue) {
+    return `${issue.path}: ${issue.message}`;
+  }
+
+  /**
+   * Dev-mode overlay listing validation issues. Replaces any previous overlay
+   * and removes itself when the document is valid again.
+   */
+  function renderOverlay(result, doc = root.document) {
+    if (!doc) {
+      return;
+    }
+    doc.querySelector("#bgm-validation-overlay")?.remove();
+    const issues = [...result.errors, ...result.warnings];
+    if (issues.length === 0) {
+      return;
+    }
+
+    const overlay = doc.createElement("aside");
+    overlay.id = "bgm-validation-overlay";
+    overlay.className = "validation-overlay glass-panel";
+    overlay.setAttribute("role", "alert");
+
+    const heading = doc.createElement("header");
+    heading.className = "validation-overlay-header";
+    heading.textContent = `content.json: ${result.errors.length} error(s), ${result.warnings.length} warning(s)`;
+
+    const close = doc.createElement("button");
+    close.type = "button";
+    close.className = "validation-overlay-close";
+    close.setAttribute("aria-label", "Dismiss validation report");
+    close.textContent = "×";
+    close.addEventListener("click", () => overlay.remove());
+    heading.append(close);
+
+    const list = doc.createElement("ol");
+    list.className = "validation-overlay-list";
+    for (const issue of issues) {
+      const item = doc.createElement("li");
+      item.className = `validation-issue is-${issue.severity}`;
+      const path = doc.createElement("code");
+      path.textContent = issue.path;
+      item.append(path, ` ${issue.message}`);
+      list.append(item);
+    }
+
+    overlay.append(heading, list);
+    doc.body.append(overlay);
+  }
+
+  const api = { validateContent, validateWidget, registerWidgetSchema, registerBlockSchema, formatIssue, renderOverlay, widgetSchemas, blockSchemas };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  } else {
+    root.BGM_Validator = api;
+  }
+})(globalThis);
@@ -0,0 +1,181 @@
+// Per-route document head: title, description, canonical URL, Open Graph and
+// Twitter cards, and schema.org JSON-LD, all derived from content.json.
+// Loads as a classic script (window.BGM_Head) or through require().
+(function (root) {
+  // Everything applyHead() owns; stale tags from the previous route are removed first
+  const MANAGED_SELECTOR = [
+    'meta[name="description"]',
+    'meta[name="robots"]',
+    'link[rel="canonical"]',
+    'meta[property^="og:"]',
+    'meta[property^="article:"]',
+    'meta[name^="twitter:"]',
+    'script[type="application/ld+json"]'
+  ].join(", ");
+  const MAX_HEADLINE_LENGTH = 110;
+
+  function escapeHTML(value) {
+    return String(value ?? "")
+      .replaceAll("&", "&amp;")
+      .replaceAll("<", "&lt;")
+      .replaceAll(">", "&gt;")
+      .replaceAll('"', "&quot;")
+      .replaceAll("'", "&#39;");
+  }
+
+  // Where scripts/prerender.js writes an article, relative to the site root
+  function articlePath(id) {
+    return `article/${encodeURIComponent(id)}/`;
+  }
+
+  function absoluteUrl(value, base) {
+    if (!value) {
+      return "";
+    }
+    try {
+      return new URL(value, base).href;
+    } catch {
+      return value;
+    }
+  }
+
+  function pageTitle(title, siteName) {
+    if (!title) {
+      return siteName;
+    }
+    return siteName ? `${title} | ${siteName}` : title;
+  }
+
+  function articleJsonLd(article, { url, image, description, siteName }) {
+    const authors = (article.authors || []).map((name) => ({ "@type": "Person", name }));
+    return {
+      "@context": "https://schema.org",
+      "@type": "NewsArticle",
+      headline: String(article.title || "").slice(0, MAX_HEADLINE_LENGTH),
+      description: description || undefined,
+      image: image ? [image] : undefined,
+      datePublished: article.publishedAt || undefined,
+      dateModified: article.updatedAt || article.publishedAt || undefined,
+      author: authors.length > 0 ? authors : undefined,
+      articleSection: article.kicker || undefined,
+      keywords: (article.tags || []).join(", ") || undefined,
+      publisher: siteName ? { "@type": "Organization", name: siteName } : undefined,
+      mainEntityOfPage: { "@type": "WebPage", "@id": url }
+    };
+  }
+
+  /**
+   * @param {object} content - spec-shape document
+   * @param {object} page - { url, title?, description?, article?, noindex? }; `url` is the canonical URL
+   * @returns {object} head descriptor for applyHead()
+   */
+  function describeHead(content, { url, title = "", description = "", article = null, noindex = false } = {}) {
+    const meta = content?.meta || {};
+    const siteName = meta.siteName || "";
+
+    if (article) {
+      const image = absoluteUrl(article.seo?.ogImage || article.hero?.image?.src, url);
+      const summary = article.seo?.description || article.dek || meta.description || "";
+      return {
+        title: pageTitle(article.title, siteName),
+        description: summary,
+        canonical: url,
+        siteName,
+        type: "article",
+        image,
+        imageAlt: article.hero?.image?.alt || article.title || "",
+        publishedAt: article.publishedAt || "",
+        modifiedAt: article.updatedAt || article.publishedAt || "",
+        authors: article.authors || [],
+        tags: article.tags || [],
+        noindex,
+        jsonLd: articleJsonLd(article, { url, image, description: summary, siteName })
+      };
+    }
+
+    const summary = description || meta.description || "";
+    return {
+      title: pageTitle(title, siteName),
+      description: summary,
+      canonical: url,
+      siteName,
+      type: "website",
+      image: "",
+      imageAlt: "",
+      publishedAt: "",
+      modifiedAt: "",
+      authors: [],
+      tags: [],
+      noindex,
+      jsonLd: title
+        ? { "@context": "https://schema.org", "@type": "WebPage", name: pageTitle(title, siteName), url, description: summary || undefined }
+        : { "@context": "https://schema.org", "@type": "WebSite", name: siteName, url, description: summary || undefined }
+    };
+  }
+
+  // The descriptor as a flat list of { tag, attrs, text } entries, empty values dropped.
+  function headTags(head) {
+    const meta = (key, name, content) => ({ tag: "meta", attrs: { [key]: name, content } });
+    const tags = [
+      meta("name", "description", head.description),
+      head.noindex ? meta("name", "robots", "noindex") : null,
+      { tag: "link", attrs: { rel: "canonical", href: head.canonical } },
+      meta("property", "og:type", head.type),
+      meta("property", "og:site_name", head.siteName),
+      meta("property", "og:title", head.title),
+      meta("property", "og:description", head.description),
+      meta("property", "og:url", head.canonical),
+      meta("property", "og:image", head.image),
+      meta("property", "og:image:alt", head.image ? head.imageAlt : ""),
+      meta("property", "article:published_time", head.publishedAt),
+      meta("property", "article:modified_time", head.modifiedAt),
+      ...head.authors.map((name) => meta("property", "article:author", name)),
+      ...head.tags.map((tag) => meta("property", "article:tag", tag)),
+      meta("name", "twitter:card", head.image ? "summary_large_image" : "summary"),
+      meta("name", "twitter:title", head.title),
+      meta("name", "twitter:description", head.description),
+      meta("name", "twitter:image", head.image),
+      meta("name", "twitter:image:alt", head.image ? head.imageAlt : ""),
+      // "<" is escaped so the payload can never close its <script>
+      { tag: "script", attrs: { type: "application/ld+json" }, text: JSON.stringify(head.jsonLd).replace(/</g, "\\u003c") }
+    ];
+    return tags.filter((entry) => entry && (entry.text || Object.values(entry.attrs).every(Boolean)));
+  }
+
+  function applyHead(head, doc = root.document) {
+    doc.title = head.title;
+    doc.head.querySelectorAll(MANAGED_SELECTOR).forEach((node) => node.remove());
+
+    const fragment = doc.createDocumentFragment();
+    for (const { tag, attrs, text } of headTags(head)) {
+      const node = doc.createElement(tag);
+      for (const [name, value] of Object.entries(attrs)) {
+        node.setAttribute(name, value);
+      }
+      if (text) {
+        node.textContent = text;
+      }
+      fragment.appendChild(node);
+    }
+    doc.head.appendChild(fragment);
+  }
+
+  // Same tags as applyHead(), as markup for static pages
+  function renderHead(head) {
+    const tags = headTags(head).map(({ tag, attrs, text }) => {
+      const attributes = Object.entries(attrs)
+        .map(([name, value]) => ` ${name}="${escapeHTML(value)}"`)
+        .join("");
+      return tag === "script" ? `<script${attributes}>${text}</script>` : `<${tag}${attributes}>`;
+    });
+    return [`<title>${escapeHTML(head.title)}</title>`, ...tags].join("\n");
+  }
+
+  const api = { describeHead, headTags, applyHead, renderHead, absoluteUrl, articlePath };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  } else {
+    root.BGM_Head = api;
+  }
+})(globalThis);
@@ -1,11 +1,283 @@
+function queryParam(name) {
+  if (typeof window === "undefined" || !window.location) {
+    return null;
+  }
+  return new URLSearchParams(window.location.search).get(name);
+}
+
+// A "1" under `key` in localStorage; false where storage is unavailable
+function storedFlag(key) {
+  try {
+    return typeof window !== "undefined" && window.localStorage?.getItem(key) === "1";
+  } catch {
+    return false;
+  }
+}
+
+function isDevEnvironment() {
+  if (typeof window === "undefined" || !window.location) {
+    return false;
+  }
+  return ["localhost", "127.0.0.1"].includes(window.location.hostname) || queryParam("dev") !== null;
+}
+
+function parseHexColor(hex) {
+  const value = String(hex || "").replace("#", "");
+  const full = value.length === 3 ? [...value].map((char) => char + char).join("") : value;
+  const parsed = Number.parseInt(full, 16);
+  if (full.length !== 6 || Number.isNaN(parsed)) {
+    return [0, 0, 0];
+  }
+  return [(parsed >> 16) & 255, (parsed >> 8) & 255, parsed & 255];
+}
+
+// Palette stops as [r, g, b]. Anything but #RGB/#RRGGBB reads as black (the widget schema
+// rejects it), so the cells and the legend both draw from these
+function paletteStops(palette) {
+  return (palette.length ? palette : ["#111111", "#D4AF37"]).map(parseHexColor);
+}
+
+// Linear interpolation across evenly spaced palette stops; t is clamped to [0, 1].
+function interpolatePalette(palette, t) {
+  const stops = paletteStops(palette);
+  if (stops.length === 1) {
+    return `rgb(${stops[0].join(", ")})`;
+  }
+  const position = Math.min(Math.max(t, 0), 1) * (stops.length - 1);
+  const index = Math.min(Math.floor(position), stops.length - 2);
+  const local = position - index;
+  const [from, to] = [stops[index], stops[index + 1]];
+  const channels = from.map((channel, i) => Math.round(channel + (to[i] - channel) * local));
+  return `rgb(${channels.join(", ")})`;
+}
+
+function formatNumber(value) {
+  return Number(value).toLocaleString(undefined, { maximumFractionDigits: 2 });
+}
+
+// Axis bounds covering [min, max] on a "nice" step (1, 2, 2.5 or 5 x 10^n), about `tickCount` steps apart
+function niceScale(min, max, tickCount = 4) {
+  const span = max > min ? max - min : Math.abs(max) || 1;
+  const rawStep = span / tickCount;
+  const magnitude = 10 ** Math.floor(Math.log10(rawStep));
+  const step = [1, 2, 2.5, 5, 10].map((factor) => factor * magnitude).find((candidate) => candidate >= rawStep);
+  const niceMin = Math.floor(min / step) * step;
+  const niceMax = Math.max(Math.ceil(max / step) * step, niceMin + step);
+  const ticks = [];
+  for (let index = 0; niceMin + index * step <= niceMax + step / 2; index += 1) {
+    // toPrecision drops float noise such as 0.30000000000000004
+    ticks.push(Number((niceMin + index * step).toPrecision(12)));
+  }
+  return { min: niceMin, max: niceMax, step, ticks };
+}
+
+// Maps YouTube/Vimeo page URLs to their embeddable player; null for self-hosted files.
+function platformEmbed(src, { autoplay = false, muted = true, controls = true } = {}) {
+  const value = String(src || "");
+  const youtube = value.match(/(?:youtube\.com\/(?:watch\?(?:.*&)?v=|embed\/|shorts\/)|youtu\.be\/)([\w-]{6,})/);
+  if (youtube) {
+    const params = new URLSearchParams({
+      enablejsapi: "1",
+      playsinline: "1",
+      autoplay: autoplay ? "1" : "0",
+      mute: muted ? "1" : "0",
+      controls: controls ? "1" : "0"
+    });
+    return { provider: "youtube", url: `https://www.youtube.com/embed/${youtube[1]}?${params}` };
+  }
+  const vimeo = value.match(/vimeo\.com\/(?:video\/)?(\d+)/);
+  if (vimeo) {
+    const params = new URLSearchParams({
+      autoplay: autoplay ? "1" : "0",
+      muted: muted ? "1" : "0",
+      controls: controls ? "1" : "0"
+    });
+    return { provider: "vimeo", url: `https://player.vimeo.com/video/${vimeo[1]}?${params}` };
+  }
+  return null;
+}
+
+const EMBED_PAUSE_MESSAGES = {
+  youtube: JSON.stringify({ event: "command", func: "pauseVideo", args: "" }),
+  vimeo: JSON.stringify({ method: "pause" })
+};
+
 const DEFAULT_OPTIONS = {
   contentUrl: "content.json",
   mountSelector: "#app",
   enableViewTransitions: true,
   pollIntervalMs: 8000,
+  maxPollBackoffMs: 5 * 60 * 1000,
+  // "poll", or "sse" to listen on contentEventsUrl (see scripts/dev-server.js) and poll only as a fallback
+  contentTransport: queryParam("transport") === "sse" ? "sse" : "poll",
+  contentEventsUrl: "events",
+  devMode: isDevEnvironment(),
+  // Show drafts and scheduled stories, each with a banner: ?preview, or localStorage "bgm-preview" set to "1"
+  preview: queryParam("preview") !== null || storedFlag("bgm-preview"),
+  // Stories per "Load more" step on #latest
+  latestPageSize: 10,
+  // Feed tiles between the full-width rails interleaved into the home bento grid
+  homeRailInterval: 4,
+  // Hover/focus dwell before a #watch card starts its preview, so sweeping across the grid stays quiet
+  watchPreviewDelayMs: 250,
+  // Poll interval for widgets with a live `source` that don't set their own refreshMs
+  widgetRefreshMs: 60 * 1000,
+  // localStorage key for per-article reading positions
+  readingProgressKey: "bgm-reading-progress",
+  // IndexedDB database (and BroadcastChannel) for saved stories
+  savedStoriesDb: "bgm-saved",
   onRouteChange: () => { }
 };
 
+// Widest bento grid (style.css); larger spans are clamped to it
+const BENTO_COLUMNS = 4;
+const BENTO_MAX_ROWS = 3;
+
+// srcset `sizes` per image slot; the shell is at most 1000px wide (style.css)
+const SHELL_MAX_WIDTH = 1000;
+const FULL_WIDTH_SIZES = "(min-width: 1000px) 1000px, 100vw";
+const CARD_IMAGE_SIZES = { "card-standard": "260px", "card-poster": "160px", "card-video": "300px" };
+const WATCH_IMAGE_SIZES = "(min-width: 1000px) 310px, (min-width: 620px) 50vw, 100vw";
+
+// An incoming hero gets this long to decode before the view transition snapshots it
+const HERO_DECODE_BUDGET_MS = 300;
+
+// setTimeout's ceiling (~24.8 days); embargoes further out are re-checked by polls before then
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
+// Live widget sources are never polled faster than this, whatever their refreshMs says
+const MIN_WIDGET_REFRESH_MS = 5000;
+
+// Plugins from BGM_Core.registerWidget, which every core picks up, and the cores running now
+const sharedWidgetPlugins = new Map();
+const liveCores = new Set();
+
+// Reading progress (0-1) below which there is nothing to resume, and from which a story counts as read
+const RESUME_MIN_PROGRESS = 0.05;
+const READ_THROUGH_PROGRESS = 0.95;
+// Scroll positions reach storage at most this often; navigation and hiding the page flush sooner
+const READING_SAVE_INTERVAL_MS = 1000;
+// Oldest positions are forgotten past this many articles
+const MAX_READING_ENTRIES = 50;
+const CONTINUE_READING_LIMIT = 10;
+
+// Save toggles on the article header and cards; aria-pressed fills it in (style.css)
+const BOOKMARK_ICON = '<svg class="save-icon" viewBox="0 0 24 24" aria-hidden="true"><path d="M6 3h12v18l-6-4.5L6 21z"/></svg>';
+
+// Edits made within this long of publishing don't earn an "Updated" badge
+const UPDATED_BADGE_MIN_MS = 15 * 60 * 1000;
+
+// "search?q=energy" -> "search"
+function routePath(route) {
+  return String(route || "").split("?")[0];
+}
+
+function routeQuery(route) {
+  return new URLSearchParams(String(route || "").split("?")[1] || "");
+}
+
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+// "article/:id/:anchor?" -> (path) => ({ id, anchor }) or null when the path does not fit
+function compileRoutePattern(pattern) {
+  const keys = [];
+  const source = pattern
+    .split("/")
+    .filter(Boolean)
+    .map((segment) => {
+      if (!segment.startsWith(":")) {
+        return `/${segment.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}`;
+      }
+      const optional = segment.endsWith("?");
+      keys.push(segment.slice(1, optional ? -1 : undefined));
+      return optional ? "(?:/([^/]+))?" : "/([^/]+)";
+    })
+    .join("");
+  const regex = new RegExp(`^${source}/?$`);
+
+  return (path) => {
+    const match = regex.exec(`/${path}`);
+    if (!match) {
+      return null;
+    }
+    return Object.fromEntries(keys.map((key, index) => [key, match[index + 1] === undefined ? undefined : safeDecode(match[index + 1])]));
+  };
+}
+
+function slugify(text) {
+  return String(text ?? "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+// Deep-link target for #article/<id>/<anchor>: an explicit block.anchor, else headings by text and widgets by widgetRef
+function blockAnchor(block) {
+  if (block.anchor) {
+    return slugify(block.anchor);
+  }
+  if (block.type === "heading") {
+    return slugify(block.text);
+  }
+  if (block.type === "widget") {
+    return slugify(block.widgetRef);
+  }
+  return "";
+}
+
+// "[^source]" in paragraph and list text references the footnote with id "source"
+const FOOTNOTE_MARKER = /\[\^([\w-]+)\]/g;
+
+// Footnote id -> number, in the order the article's footnotes blocks list them
+function footnoteNumbers(article) {
+  const numbers = new Map();
+  for (const block of article?.blocks || []) {
+    if (block.type !== "footnotes") {
+      continue;
+    }
+    for (const note of block.items || []) {
+      if (note?.id && !numbers.has(note.id)) {
+        numbers.set(note.id, numbers.size + 1);
+      }
+    }
+  }
+  return numbers;
+}
+
+// Adds an attribute to the first element of an HTML fragment
+function withAttribute(html, name, value) {
+  return html.replace(/^\s*<([a-z][\w-]*)/i, `<$1 ${name}="${escapeHTML(value)}"`);
+}
+
+// home.feed[].layout, clamped to the grid: { colSpan, rowSpan, aspect: "16 / 9" }
+function bentoLayout(layout = {}) {
+  const span = (value, max) => Math.min(max, Math.max(1, Math.round(Number(value)) || 1));
+  const [width, height] = String(layout.aspect || "").split(":").map(Number);
+  return {
+    colSpan: span(layout.colSpan, BENTO_COLUMNS),
+    rowSpan: span(layout.rowSpan, BENTO_MAX_ROWS),
+    aspect: width > 0 && height > 0 ? `${width} / ${height}` : "4 / 3"
+  };
+}
+
+// Tile widths across the bento breakpoints (1, 2 and 4 columns inside 20px gutters)
+function bentoImageSizes(colSpan) {
+  return [
+    `(min-width: 1000px) ${Math.round((960 * colSpan) / BENTO_COLUMNS)}px`,
+    `(min-width: 768px) ${(100 * colSpan) / BENTO_COLUMNS}vw`,
+    `(min-width: 520px) ${colSpan > 1 ? 100 : 50}vw`,
+    "100vw"
+  ].join(", ");
+}
+
 function escapeHTML(value) {
   return String(value ?? "")
     .replaceAll("&", "&amp;")
@@ -15,6 +287,13 @@ function escapeHTML(value) {
     .replaceAll("'", "&#39;");
 }
 
+// For ordering authored dates, which needn't share an offset or precision ("…T10:00:00+02:00"
+// is older than "…T09:00:00Z"); missing or unparseable ones count as oldest
+function dateValue(isoValue) {
+  const time = Date.parse(isoValue);
+  return Number.isNaN(time) ? 0 : time;
+}
+
 function formatDate(isoValue) {
   const date = new Date(isoValue);
   if (Number.isNaN(date.getTime())) {
@@ -27,27 +306,175 @@ function formatDate(isoValue) {
   });
 }
 
+function formatTime(isoValue) {
+  const date = new Date(isoValue);
+  if (Number.isNaN(date.getTime())) {
+    return "";
+  }
+  return date.toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit" });
+}
+
+// Local calendar day, "2026-10-19"; empty for unparseable dates
+function localDayKey(isoValue) {
+  const date = new Date(isoValue);
+  if (Number.isNaN(date.getTime())) {
+    return "";
+  }
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Visually hidden text alternative for a chart; each row leads with its row header
+function dataTable(caption, headers, rows) {
+  const headerCells = headers.map((header) => `<th scope="col">${escapeHTML(header)}</th>`).join("");
+  const bodyRows = rows
+    .map(([rowHeader, ...cells]) => `<tr><th scope="row">${escapeHTML(rowHeader)}</th>${cells.map((cell) => `<td>${escapeHTML(cell)}</td>`).join("")}</tr>`)
+    .join("");
+  return `
+    <table class="visually-hidden">
+      <caption>${escapeHTML(caption)}</caption>
+      <thead><tr>${headerCells}</tr></thead>
+      <tbody>${bodyRows}</tbody>
+    </table>
+  `;
+}
+
+// Sparkline points are plain numbers or { at, value } with an ISO timestamp
+function sparklineSeries(points) {
+  return (Array.isArray(points) ? points : []).map((point) => (point !== null && typeof point === "object"
+    ? { value: Number(point.value) || 0, at: point.at || null }
+    : { value: Number(point) || 0, at: null }));
+}
+
+// Axis labels get coarser as the series covers more time: hours, then days, then months
+function formatAxisDate(isoValue, spanMs) {
+  const date = new Date(isoValue);
+  if (Number.isNaN(date.getTime())) {
+    return "";
+  }
+  if (spanMs < 2 * 24 * 60 * 60 * 1000) {
+    return formatTime(isoValue);
+  }
+  return date.toLocaleDateString(undefined, spanMs < 180 * 24 * 60 * 60 * 1000
+    ? { month: "short", day: "numeric" }
+    : { month: "short", year: "numeric" });
+}
+
+// Header row names the columns; numeric cells become numbers. Handles quoted fields and "" escapes.
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        cell += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[index + 1] === "\n") {
+        index += 1;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter((cells) => cells.some((value) => value.trim()));
+  const columns = header.map((name) => name.trim());
+  return records.map((cells) => Object.fromEntries(columns.map((name, column) => {
+    const value = (cells[column] ?? "").trim();
+    return [name, value !== "" && Number.isFinite(Number(value)) ? Number(value) : value];
+  })));
+}
+
+// Dot path into parsed JSON ("series.0.value", or "." for the whole value); a name applied to an
+// array maps over its items, so "rows.value" on { rows: [{ value: 1 }, { value: 2 }] } gives [1, 2]
+function pickPath(value, path) {
+  if (!path || path === ".") {
+    return value;
+  }
+  return String(path).split(".").reduce((current, key) => {
+    if (Array.isArray(current) && !/^\d+$/.test(key)) {
+      return current.map((item) => item?.[key]);
+    }
+    return current?.[key];
+  }, value);
+}
+
+// `data` is what readers may see (publishing.js): drafts and stories under embargo are
+// held back unless `preview` is set. `source` is the full document as last loaded.
 class ObservableContentStore {
-  constructor(contentUrl, intervalMs = 7000) {
+  constructor(contentUrl, intervalMs = 7000, { transport = "poll", eventsUrl = null, maxBackoffMs = 300000, preview = false } = {}) {
     this.contentUrl = contentUrl;
     this.intervalMs = intervalMs;
+    this.transport = transport;
+    this.eventsUrl = eventsUrl;
+    this.maxBackoffMs = maxBackoffMs;
+    this.preview = preview;
     this.observers = new Set();
+    this.source = null;
     this.data = null;
+    this.embargoTimerId = null;
     this.signature = "";
+    this.etag = null;
+    this.lastModified = null;
+    this.failureCount = 0;
+    this.isRunning = false;
     this.timerId = null;
+    this.eventSource = null;
+    this.onWorkerUpdate = () => {
+      this.load().catch((error) => {
+        console.error("[BGM_Core] content refresh after service worker update failed", error);
+      });
+    };
+    this.onVisibilityChange = () => this.handleVisibilityChange();
   }
 
   subscribe(observer) {
     this.observers.add(observer);
     if (this.data) {
-      observer(this.data);
+      observer(this.data, BGM_ContentDiff.diffContent(null, this.data));
     }
     return () => this.observers.delete(observer);
   }
 
-  notify() {
+  // Only called when the diff touches `slice` (slice names are listed in content-diff.js)
+  subscribeTo(slice, observer) {
+    return this.subscribe((data, diff) => {
+      if (diff.touches(slice)) {
+        observer(data, diff);
+      }
+    });
+  }
+
+  // An observer that throws is logged on its own; the rest still hear of the change
+  notify(diff) {
     for (const observer of this.observers) {
-      observer(this.data);
+      try {
+        observer(this.data, diff);
+      } catch (error) {
+        console.error("[BGM_Core] content observer failed", error);
+      }
     }
   }
 
@@ -55,428 +482,3217 @@ class ObservableContentStore {
     const cacheBust = force ? Date.now() : Math.floor(Date.now() / this.intervalMs);
     const separator = this.contentUrl.includes("?") ? "&" : "?";
     const requestUrl = `${this.contentUrl}${separator}v=${cacheBust}`;
+    const headers = {};
+    if (!force && this.data) {
+      if (this.etag) headers["If-None-Match"] = this.etag;
+      if (this.lastModified) headers["If-Modified-Since"] = this.lastModified;
+    }
     try {
-      const response = await fetch(requestUrl, { cache: "no-store" });
-      if (!response.ok) {
-        throw new Error(`Failed to load content.json (${response.status})`);
-      }
+      const response = await fetch(requestUrl, { cache: "no-store", headers });
+      // 304: unchanged, but a scheduled story may have come due since the last poll
+      if (response.status !== 304) {
+        if (!response.ok) {
+          throw new Error(`Failed to load content.json (${response.status})`);
+        }
+        this.etag = response.headers.get("ETag");
+        this.lastModified = response.headers.get("Last-Modified");
 
-      const nextData = await response.json();
-      const nextSignature = JSON.stringify(nextData);
-      if (nextSignature !== this.signature) {
-        this.signature = nextSignature;
-        this.data = nextData;
-        this.notify();
+        const rawData = await response.json();
+        // Compare the raw document, so an unchanged one skips normalizing. The signature only
+        // moves once toSpec succeeds: a document it rejects is retried on the next load
+        const nextSignature = JSON.stringify(rawData);
+        if (nextSignature !== this.signature) {
+          this.source = BGM_ContentAdapter.toSpec(rawData);
+          this.signature = nextSignature;
+        }
       }
-      return this.data;
+      this.failureCount = 0;
     } catch (e) {
+      this.failureCount += 1;
       console.warn("Using offline fallback if available", e);
       return this.data; // Return stale data if fetch fails
     }
+    // Outside the try: a render that fails is not a failed load, and must not back off polling
+    this.publish();
+    return this.data;
+  }
+
+  // Recomputes what readers see from the loaded document, notifying on any change; runs on
+  // every load and again when the next scheduled story comes due, which needs no poll
+  publish() {
+    if (!this.source) {
+      return;
+    }
+    const now = Date.now();
+    const previousData = this.data;
+    this.data = BGM_Publishing.visibleContent(this.source, { now, preview: this.preview });
+    const diff = BGM_ContentDiff.diffContent(previousData, this.data);
+    if (!diff.isEmpty) {
+      this.notify(diff);
+    }
+
+    window.clearTimeout(this.embargoTimerId);
+    this.embargoTimerId = null;
+    const embargo = BGM_Publishing.nextEmbargo(this.source, now);
+    if (embargo !== null) {
+      this.embargoTimerId = window.setTimeout(() => this.publish(), Math.min(embargo - now, MAX_TIMER_DELAY_MS));
+    }
+  }
+
+  nextPollDelay() {
+    if (this.failureCount === 0) {
+      return this.intervalMs;
+    }
+    // Exponential backoff with jitter over the upper half, so tabs that failed
+    // together don't retry in lockstep
+    const ceiling = Math.min(this.intervalMs * 2 ** this.failureCount, this.maxBackoffMs);
+    return ceiling / 2 + Math.random() * (ceiling / 2);
   }
 
   start() {
-    if (this.timerId) {
+    if (this.isRunning) {
       return;
     }
-    this.timerId = window.setInterval(() => {
-      this.load().catch((error) => {
-        console.error("[BGM_Core] content observer poll failed", error);
+    this.isRunning = true;
+    // sw.js answers polls from cache and announces when its revalidated copy differs
+    window.addEventListener("bgm:content-updated", this.onWorkerUpdate);
+    document.addEventListener("visibilitychange", this.onVisibilityChange);
+    if (!document.hidden) {
+      this.resume();
+    }
+  }
+
+  stop() {
+    if (!this.isRunning) {
+      return;
+    }
+    this.isRunning = false;
+    window.removeEventListener("bgm:content-updated", this.onWorkerUpdate);
+    document.removeEventListener("visibilitychange", this.onVisibilityChange);
+    this.pause();
+  }
+
+  resume() {
+    if (this.timerId || this.eventSource) {
+      return;
+    }
+    if (this.transport === "sse" && this.openEventStream()) {
+      return;
+    }
+    this.schedulePoll(this.nextPollDelay());
+  }
+
+  pause() {
+    window.clearTimeout(this.timerId);
+    this.timerId = null;
+    this.eventSource?.close();
+    this.eventSource = null;
+  }
+
+  schedulePoll(delay) {
+    const timerId = window.setTimeout(async () => {
+      await this.load();
+      // A pause() or resume() during the request owns the schedule now
+      if (this.timerId !== timerId) {
+        return;
+      }
+      this.timerId = null;
+      if (this.isRunning && !document.hidden) {
+        this.schedulePoll(this.nextPollDelay());
+      }
+    }, delay);
+    this.timerId = timerId;
+  }
+
+  handleVisibilityChange() {
+    if (document.hidden) {
+      this.pause();
+      return;
+    }
+    // Catch up on whatever changed while the tab was hidden, then resume the cadence
+    this.load().finally(() => {
+      if (this.isRunning && !document.hidden) {
+        this.resume();
+      }
+    });
+  }
+
+  openEventStream() {
+    if (!this.eventsUrl || !("EventSource" in window)) {
+      return false;
+    }
+    const source = new EventSource(this.eventsUrl);
+    source.addEventListener("content-updated", () => {
+      this.load({ force: true });
+    });
+    source.addEventListener("error", () => {
+      // EventSource reconnects on its own unless the endpoint is unusable (CLOSED)
+      if (source.readyState !== EventSource.CLOSED) {
+        return;
+      }
+      console.warn("[BGM_Core] content event stream unavailable, falling back to polling");
+      this.eventSource = null;
+      this.failureCount += 1;
+      if (this.isRunning && !document.hidden) {
+        this.schedulePoll(this.nextPollDelay());
+      }
+    });
+    this.eventSource = source;
+    return true;
+  }
+}
+
+// Where the reader is in each article, kept in localStorage as
+// { [articleId]: { position, progress, updatedAt } }: `position` is where they last were
+// (0-1 through the article), `progress` the furthest they got. Storage that is full or
+// unavailable (private browsing) just means nothing is remembered.
+class ReadingProgressStore {
+  constructor(storageKey) {
+    this.storageKey = storageKey;
+    this.entries = this.read();
+    // Another tab reading along
+    window.addEventListener("storage", (event) => {
+      if (event.key === this.storageKey) {
+        this.entries = this.read();
+      }
+    });
+  }
+
+  read() {
+    try {
+      const parsed = JSON.parse(window.localStorage.getItem(this.storageKey) || "{}");
+      return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+    } catch {
+      return {};
+    }
+  }
+
+  write() {
+    try {
+      window.localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+    } catch {
+      // Quota or disabled storage; positions live for this page only
+    }
+  }
+
+  get(id) {
+    return this.entries[id] || null;
+  }
+
+  record(id, position) {
+    const clamped = Math.min(Math.max(Number(position) || 0, 0), 1);
+    this.entries[id] = {
+      position: clamped,
+      progress: Math.max(clamped, this.entries[id]?.progress || 0),
+      updatedAt: new Date().toISOString()
+    };
+    const ids = Object.keys(this.entries);
+    if (ids.length > MAX_READING_ENTRIES) {
+      ids
+        .sort((a, b) => this.entries[a].updatedAt.localeCompare(this.entries[b].updatedAt))
+        .slice(0, ids.length - MAX_READING_ENTRIES)
+        .forEach((stale) => delete this.entries[stale]);
+    }
+    this.write();
+  }
+
+  // Started but not finished, most recently read first
+  inProgress() {
+    return Object.entries(this.entries)
+      .filter(([, entry]) => entry.progress >= RESUME_MIN_PROGRESS && entry.progress < READ_THROUGH_PROGRESS)
+      .sort(([, a], [, b]) => b.updatedAt.localeCompare(a.updatedAt))
+      .map(([id, entry]) => ({ id, ...entry }));
+  }
+}
+
+// Stories the reader saved, in IndexedDB as { id, savedAt, article }: `article` is the story
+// as last seen in content.json, so it still opens once the feed drops it. Reads come from
+// memory; writes persist in the background. Without IndexedDB, saves last for this page.
+// `onChange` runs once the stored entries have loaded and when another tab changes them.
+class SavedStoriesStore {
+  constructor(databaseName, { onChange = () => { } } = {}) {
+    this.databaseName = databaseName;
+    this.onChange = onChange;
+    this.entries = new Map();
+    this.db = null;
+    this.channel = "BroadcastChannel" in window ? new BroadcastChannel(databaseName) : null;
+    this.channel?.addEventListener("message", () => this.reload());
+    this.ready = this.open();
+  }
+
+  async open() {
+    if (!("indexedDB" in window)) {
+      return;
+    }
+    try {
+      this.db = await new Promise((resolve, reject) => {
+        const request = window.indexedDB.open(this.databaseName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore("stories", { keyPath: "id" });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
       });
-    }, this.intervalMs);
+    } catch (error) {
+      console.warn("[BGM_Core] saved stories will not persist", error);
+      return;
+    }
+    await this.reload();
+  }
+
+  async reload() {
+    if (!this.db) {
+      return;
+    }
+    try {
+      const stored = await this.transact("readonly", (store) => store.getAll());
+      this.entries = new Map(stored.map((entry) => [entry.id, entry]));
+      this.onChange();
+    } catch (error) {
+      console.warn("[BGM_Core] could not read saved stories", error);
+    }
+  }
+
+  transact(mode, operation) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction("stories", mode);
+      const request = operation(transaction.objectStore("stories"));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  async persist(operation) {
+    await this.ready;
+    if (!this.db) {
+      return;
+    }
+    try {
+      await this.transact("readwrite", operation);
+      this.channel?.postMessage("changed");
+    } catch (error) {
+      // Quota, most likely; the save still holds for this page
+      console.warn("[BGM_Core] could not store saved stories", error);
+    }
+  }
+
+  has(id) {
+    return this.entries.has(id);
+  }
+
+  get(id) {
+    return this.entries.get(id) || null;
+  }
+
+  // Most recently saved first
+  list() {
+    return [...this.entries.values()].sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+  }
+
+  // Saving a story again refreshes its copy and keeps its place in the list
+  save(article) {
+    const entry = { id: article.id, savedAt: this.entries.get(article.id)?.savedAt || new Date().toISOString(), article };
+    this.entries.set(article.id, entry);
+    return this.persist((store) => store.put(entry));
+  }
+
+  remove(id) {
+    this.entries.delete(id);
+    return this.persist((store) => store.delete(id));
+  }
+}
+
+// Polls one widget's external `source` (spec.md §3.4). Each result, good or failed, goes to
+// onUpdate; the widget keeps showing the last good data while the source is failing.
+class WidgetDataSource {
+  constructor(source, { defaultRefreshMs, maxBackoffMs = 5 * 60 * 1000, onUpdate }) {
+    this.source = source;
+    this.format = source.format || (/\.csv($|[?#])/i.test(source.url) ? "csv" : "json");
+    this.refreshMs = Math.max(Number(source.refreshMs) || defaultRefreshMs, MIN_WIDGET_REFRESH_MS);
+    this.staleAfterMs = Number(source.staleAfterMs) || this.refreshMs * 2;
+    this.maxBackoffMs = maxBackoffMs;
+    this.onUpdate = onUpdate;
+    this.data = null;
+    this.asOf = null;
+    this.fetchedAt = null;
+    this.error = null;
+    this.failureCount = 0;
+    this.timerId = null;
+    this.controller = null;
+    this.isRunning = false;
+    this.onVisibilityChange = () => this.handleVisibilityChange();
+  }
+
+  // No successful fetch for staleAfterMs (twice the refresh interval by default)
+  get isStale() {
+    if (this.fetchedAt === null) {
+      return Boolean(this.error);
+    }
+    return Date.now() - this.fetchedAt > this.staleAfterMs;
+  }
+
+  async load() {
+    this.controller?.abort();
+    const controller = new AbortController();
+    this.controller = controller;
+    // A hung request counts as a failure once the next refresh would be due
+    const timeoutId = window.setTimeout(() => controller.abort(new Error("request timed out")), this.refreshMs);
+    try {
+      // no-store also tells sw.js to leave the request to the network
+      const response = await fetch(this.source.url, { cache: "no-store", signal: controller.signal });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const body = await response.text();
+      const parsed = this.format === "csv" ? parseCSV(body) : JSON.parse(body);
+      const picked = pickPath(parsed, this.source.path);
+      const data = this.source.fields
+        ? Object.fromEntries(Object.entries(this.source.fields).map(([field, path]) => [field, pickPath(picked, path)]))
+        : picked;
+      if (data === null || typeof data !== "object" || Array.isArray(data)) {
+        throw new Error(`expected an object of widget data${this.source.path ? ` at "${this.source.path}"` : ""}; set source.fields to map values onto fields`);
+      }
+      const stamp = this.source.asOf ? pickPath(parsed, this.source.asOf) : response.headers.get("last-modified");
+      const asOf = new Date(stamp || Date.now());
+      this.data = data;
+      this.asOf = Number.isNaN(asOf.getTime()) ? new Date().toISOString() : asOf.toISOString();
+      this.fetchedAt = Date.now();
+      this.error = null;
+      this.failureCount = 0;
+    } catch (error) {
+      // stop() or a newer load() owns the result now
+      if (this.controller !== controller) {
+        return;
+      }
+      this.error = error;
+      this.failureCount += 1;
+      console.warn(`[BGM_Core] widget source ${this.source.url} failed`, error);
+    } finally {
+      window.clearTimeout(timeoutId);
+      if (this.controller === controller) {
+        this.controller = null;
+      }
+    }
+    this.onUpdate(this);
+  }
+
+  // Same backoff as ObservableContentStore#nextPollDelay
+  nextPollDelay() {
+    if (this.failureCount === 0) {
+      return this.refreshMs;
+    }
+    const ceiling = Math.min(this.refreshMs * 2 ** this.failureCount, this.maxBackoffMs);
+    return ceiling / 2 + Math.random() * (ceiling / 2);
+  }
+
+  start() {
+    if (this.isRunning) {
+      return;
+    }
+    this.isRunning = true;
+    document.addEventListener("visibilitychange", this.onVisibilityChange);
+    if (!document.hidden) {
+      this.resume();
+    }
+  }
+
+  stop() {
+    if (!this.isRunning) {
+      return;
+    }
+    this.isRunning = false;
+    document.removeEventListener("visibilitychange", this.onVisibilityChange);
+    this.pause();
+  }
+
+  // Fetches right away, then every refreshMs
+  resume() {
+    if (this.timerId) {
+      return;
+    }
+    this.schedulePoll(0);
+  }
+
+  pause() {
+    window.clearTimeout(this.timerId);
+    this.timerId = null;
+    const controller = this.controller;
+    this.controller = null;
+    controller?.abort();
+  }
+
+  schedulePoll(delay) {
+    const timerId = window.setTimeout(async () => {
+      await this.load();
+      if (this.timerId !== timerId) {
+        return;
+      }
+      this.timerId = null;
+      if (this.isRunning && !document.hidden) {
+        this.schedulePoll(this.nextPollDelay());
+      }
+    }, delay);
+    this.timerId = timerId;
+  }
+
+  handleVisibilityChange() {
+    if (document.hidden) {
+      this.pause();
+    } else if (this.isRunning) {
+      this.resume();
+    }
+  }
+}
+
+class BGM_Core {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.mount = document.querySelector(this.options.mountSelector);
+    this.nav = document.querySelector("#bottom-nav");
+    this.routeTitle = document.querySelector("#route-title");
+
+    if (!this.mount || !this.nav || !this.routeTitle) {
+      throw new Error("BGM_Core mount points are missing in index.html");
+    }
+
+    // Polite live region naming each new view; created when the page doesn't provide one
+    this.announcer = document.querySelector("#route-announcer");
+    if (!this.announcer) {
+      this.announcer = document.createElement("p");
+      this.announcer.id = "route-announcer";
+      this.announcer.className = "visually-hidden";
+      this.announcer.setAttribute("aria-live", "polite");
+      document.body?.appendChild(this.announcer);
+    }
+    // route -> the link that led away from it, so Back can return focus there
+    this.focusOrigins = new Map();
+    this.lastActivated = null;
+    this.expectedHash = null;
+
+    // Where the reader is in each article. The open article drives the bar in the top bar
+    // and, throttled, its saved place; see beginReading/endReading
+    this.readingProgress = new ReadingProgressStore(this.options.readingProgressKey);
+    this.readingArticleId = null;
+    this.pendingReading = null;
+    this.readingSaveTimer = null;
+    this.readingFrame = null;
+    this.resumePrompt = null;
+    this.readingBar = this.createReadingBar();
+    this.scroller = this.mount.closest(".route-shell");
+
+    // Saved copies also answer for stories content.json has since dropped; see indexArticles
+    this.savedStories = new SavedStoriesStore(this.options.savedStoriesDb, {
+      onChange: () => this.onSavedChange()
+    });
+    this.savedChangePending = false;
+    // A content update that landed mid-navigation; finishNavigation applies it
+    this.contentUpdatePending = false;
+
+    this.store = new ObservableContentStore(this.options.contentUrl, this.options.pollIntervalMs, {
+      transport: this.options.contentTransport,
+      eventsUrl: this.options.contentEventsUrl,
+      maxBackoffMs: this.options.maxPollBackoffMs,
+      preview: this.options.preview
+    });
+    this.state = {
+      content: null,
+      articlesById: new Map(),
+      currentRoute: "home",
+      currentMatch: null,
+      isNavigating: false
+    };
+
+    // Set on pages written by scripts/prerender.js: the route an empty hash stands for,
+    // and whether the first render should adopt the markup already in the mount
+    this.prerenderedRoute = this.mount.dataset.prerendered || null;
+    this.hydrating = Boolean(this.prerenderedRoute);
+    // The first content load renders this directly, rather than home and then the hash route
+    this.state.currentRoute = this.normalizeRoute(this.parseHashRoute());
+
+    // Tried in registration order; see registerRoute
+    this.routes = [];
+    this.notFoundRoute = {
+      title: () => "Not Found",
+      head: () => ({ title: "Not Found", noindex: true }),
+      render: (match) => this.renderNotFound(match.path)
+    };
+    this.registerDefaultRoutes();
+
+    // Widget plugins by type; see registerWidget. Mounted instances are tracked per slot
+    // so their unmount hook runs when the slot leaves the DOM.
+    this.widgetRegistry = new Map();
+    this.mountedWidgets = new Map();
+    // Slots whose widget declares a live `source`: slot -> { feed, pending, asOf, rejected }
+    this.widgetSources = new Map();
+    this.registerWidget("sparkline", {
+      render: (data) => this.renderSparklineWidget(data),
+      mount: (element, data, { signal }) => this.bindSparklineScrub(element, data, signal)
+    });
+    this.registerWidget("heatmap", { render: (data) => this.renderHeatmapWidget(data) });
+    // Legacy "heat" payloads (riskScale/currentIndex) render as a risk gauge
+    this.registerWidget("heat", { render: (data) => this.renderHeatWidget(data) });
+    this.registerWidget("video-player", { render: (data) => this.renderVideoPlayerWidget(data) });
+    this.registerWidget("bar", { render: (data) => this.renderBarWidget(data) });
+    for (const [type, plugin] of sharedWidgetPlugins) {
+      this.registerWidget(type, plugin);
+    }
+    liveCores.add(this);
+
+    // Article block renderers by block.type, called as renderer(block, { article, widget, payload });
+    // see registerBlock
+    this.blockRegistry = new Map([
+      ["paragraph", (block, { article }) => `<p>${this.inlineText(block.text, article)}</p>`],
+      ["heading", (block) => this.renderHeadingBlock(block)],
+      ["image", (block) => this.renderImageBlock(block)],
+      ["widget", (block, { widget, payload }) => (widget ? this.renderWidgetSlot(widget, payload || (widget.source ? {} : { label: "Missing Data" })) : "")],
+      ["quote", (block) => this.renderQuoteBlock(block)],
+      ["list", (block, { article }) => this.renderListBlock(block, article)],
+      ["callout", (block, { article }) => this.renderCalloutBlock(block, article)],
+      ["gallery", (block) => this.renderGalleryBlock(block)],
+      ["video", (block) => this.renderVideoBlock(block)],
+      ["divider", () => '<hr class="block-divider">'],
+      ["footnotes", (block, { article }) => this.renderFootnotesBlock(block, article)]
+    ]);
+
+    // Widget slots render as sized placeholders; the registry renderer runs once a slot nears the viewport
+    this.widgetSlotCount = 0;
+    this.pendingSlotPayloads = new Map();
+    this.pendingWidgets = new WeakMap();
+    this.widgetObserver = "IntersectionObserver" in window
+      ? new IntersectionObserver((entries) => this.onWidgetNearViewport(entries), { rootMargin: "200px 0px" })
+      : null;
+
+    // Videos only fetch their preload budget once they come near the viewport,
+    // and pause (or autoplay) as they leave (or enter) it.
+    this.mediaPreloadObserver = "IntersectionObserver" in window
+      ? new IntersectionObserver((entries) => this.onMediaNearViewport(entries), { rootMargin: "300px 0px" })
+      : null;
+    this.mediaVisibilityObserver = "IntersectionObserver" in window
+      ? new IntersectionObserver((entries) => this.onMediaVisibility(entries), { threshold: 0.25 })
+      : null;
+
+    // #latest pagination survives content patches; #watch plays one hover preview at a time
+    this.latestLimit = this.options.latestPageSize;
+    this.watchPreview = null;
+
+    // Registered ahead of onContentUpdate so a patched #search view queries the fresh index
+    this.searchIndex = new BGM_Search.SearchIndex();
+    this.searchDebounceId = null;
+    this.unsubscribeSearch = this.store.subscribeTo("articles", (content) => {
+      this.searchIndex.build(content.articles);
+    });
+    this.unsubscribeStore = this.store.subscribe((content, diff) => this.onContentUpdate(content, diff));
+    this.unsubscribeNavigation = this.store.subscribeTo("navigation", () => this.renderNavigation());
+    this.nav.addEventListener("click", (event) => this.onNavClick(event));
+    this.mount.addEventListener("click", (event) => this.onMountClick(event));
+    this.mount.addEventListener("input", (event) => this.onSearchInput(event));
+    this.mount.addEventListener("submit", (event) => this.onSearchInput(event));
+    this.mount.addEventListener("pointerover", (event) => this.onHeatmapPointer(event));
+    this.mount.addEventListener("pointerout", (event) => this.onHeatmapPointer(event));
+    // scroll doesn't bubble; galleries are caught on the way down
+    this.mount.addEventListener("scroll", (event) => this.onGalleryScroll(event), true);
+    for (const type of ["pointerover", "pointerout", "focusin", "focusout"]) {
+      this.mount.addEventListener(type, (event) => this.onWatchPreview(event));
+    }
+    window.addEventListener("hashchange", () => this.handleRouteChange());
+    this.scroller?.addEventListener("scroll", () => this.onReadingScroll(), { passive: true });
+    document.addEventListener("visibilitychange", () => {
+      if (document.hidden) {
+        this.flushReadingProgress();
+      }
+    });
+    window.addEventListener("pagehide", () => this.flushReadingProgress());
+  }
+
+  async init() {
+    await this.store.load({ force: true });
+    this.store.start();
+    // The first load already rendered currentRoute; only catch up with a hash changed meanwhile
+    if (this.normalizeRoute(this.parseHashRoute()) !== this.state.currentRoute) {
+      this.handleRouteChange();
+    }
+  }
+
+  onContentUpdate(content, diff) {
+    if (this.options.devMode) {
+      // The whole document, drafts included
+      this.reportContentIssues(this.store.source || content);
+    }
+    this.state.content = content;
+    this.indexArticles(content);
+    this.refreshSavedCopies(content);
+    if (this.state.isNavigating) {
+      // The view being committed may have rendered from the previous content
+      this.contentUpdatePending = true;
+      return;
+    }
+    if (diff.initial) {
+      this.renderRoute(this.state.currentRoute);
+    } else if (this.routeAffectedBy(this.state.currentRoute, diff)) {
+      this.patchRoute(this.state.currentRoute);
+    } else if (diff.meta) {
+      this.applyRouteHead(this.resolveRoute(this.state.currentRoute));
+    }
+  }
+
+  // Saved copies stand in for stories content.json no longer carries; the live version wins,
+  // and a story taken back to draft or under embargo stays hidden
+  indexArticles(content) {
+    const inSource = new Set((this.store.source?.articles || []).map((article) => article.id));
+    this.state.articlesById = new Map([
+      ...this.savedStories
+        .list()
+        .filter((entry) => !inSource.has(entry.id))
+        .map((entry) => [entry.id, entry.article]),
+      ...(content?.articles || []).map((article) => [article.id, article])
+    ]);
+  }
+
+  // Keeps each saved copy, and what sw.js pinned for it, in step with the live story
+  refreshSavedCopies(content) {
+    const { signature } = BGM_ContentDiff;
+    for (const article of content?.articles || []) {
+      const entry = this.savedStories.get(article.id);
+      if (entry && signature(entry.article) !== signature(article)) {
+        this.savedStories.save(article);
+        this.pinStory(article);
+      }
+    }
+  }
+
+  // Saved stories loaded, or changed here or in another tab
+  onSavedChange() {
+    this.indexArticles(this.state.content);
+    this.refreshSavedCopies(this.state.content);
+    this.paintSaveToggles();
+    if (this.state.isNavigating) {
+      this.savedChangePending = true;
+      return;
+    }
+    if (!this.state.content) {
+      return;
+    }
+    // #saved lists them, and a saved copy can bring back a story the feed dropped
+    const match = this.resolveRoute(this.state.currentRoute);
+    if (match.handler === this.savedRoute || match.handler !== this.state.currentMatch?.handler) {
+      this.patchRoute(this.state.currentRoute);
+    }
+  }
+
+  toggleSaved(toggle) {
+    const id = toggle.dataset.save;
+    if (this.savedStories.has(id)) {
+      this.savedStories.remove(id);
+      this.postToWorker({ type: "UNPIN_STORY", id });
+    } else {
+      const article = this.state.articlesById.get(id);
+      if (!article) {
+        return;
+      }
+      this.savedStories.save(article);
+      this.pinStory(article);
+    }
+    this.onSavedChange();
+    // Unsaving on #saved takes the card, and the focused toggle, with it
+    if (!toggle.isConnected) {
+      const heading = this.mount.querySelector(".listing-title");
+      heading?.setAttribute("tabindex", "-1");
+      heading?.focus({ preventScroll: true });
+    }
+  }
+
+  paintSaveToggles() {
+    for (const toggle of this.mount.querySelectorAll("[data-save]")) {
+      toggle.setAttribute("aria-pressed", String(this.savedStories.has(toggle.dataset.save)));
+    }
+  }
+
+  // The header toggle is labelled "Save"; card toggles are icon-only, named after their story.
+  // aria-pressed carries the state either way
+  renderSaveToggle(article, { compact = false } = {}) {
+    const pressed = this.savedStories.has(article.id);
+    const label = compact ? ` aria-label="Save ${escapeHTML(article.title)}"` : "";
+    return `<button type="button" class="save-toggle${compact ? " card-save" : ""}" data-save="${escapeHTML(article.id)}" aria-pressed="${pressed}"${label}>${BOOKMARK_ICON}${compact ? "" : "<span>Save</span>"}</button>`;
+  }
+
+  // What sw.js keeps for a saved story: each image in the rendition this screen picks at
+  // full width (offline, other widths of a CDN image fall back to it), every width of a
+  // local image, and the story's prerendered page
+  pinnedUrls(article) {
+    const images = [
+      article.hero?.image,
+      ...(article.blocks || []).flatMap((block) => (block.type === "image" ? [block] : block.type === "gallery" ? block.images || [] : []))
+    ].filter((image) => image?.src);
+    const targetWidth = Math.min(window.innerWidth || SHELL_MAX_WIDTH, SHELL_MAX_WIDTH) * (window.devicePixelRatio || 1);
+    const urls = images.flatMap((image) => {
+      const candidates = BGM_Images.imageCandidates(image);
+      if (candidates.length === 0) {
+        return [image.src];
+      }
+      if (!BGM_Images.resizableUrl(image.src)) {
+        return [image.src, ...candidates.map((candidate) => candidate.src)];
+      }
+      return [(candidates.find((candidate) => candidate.width >= targetWidth) || candidates.at(-1)).src];
+    });
+    if (this.prerenderedRoute) {
+      urls.push(BGM_Head.articlePath(article.id));
+    }
+    return [...new Set(urls.map((url) => new URL(url, document.baseURI).href))];
+  }
+
+  pinStory(article) {
+    this.postToWorker({ type: "PIN_STORY", id: article.id, urls: this.pinnedUrls(article) });
+  }
+
+  // Waits for the worker sw-client.js registers; pages without one just skip pinning
+  postToWorker(message) {
+    if (!("serviceWorker" in navigator)) {
+      return;
+    }
+    navigator.serviceWorker.ready.then((registration) => registration.active?.postMessage(message));
+  }
+
+  // Public route API. `pattern` is a "/"-separated path where ":name" segments
+  // capture params (":name?" when optional). The first registered pattern that
+  // matches, and whose handler.accepts(params) agrees, wins; nothing matching
+  // renders the not-found view. Handler hooks, all given the resolved match
+  // ({ route, path, params, query, handler }):
+  //   title(match)             text for #route-title
+  //   render(match)            writes the view into the mount
+  //   patch(match)             optional in-place update on new content; return false to re-render
+  //   affectedBy(match, diff)  optional; whether a content diff concerns this view (default: always)
+  //   nav(match)               optional; id of the navigation item to highlight
+  //   head(match)              optional; { title, description, article, route, noindex } for the document
+  //                            head, `route` being the canonical one (default: title(match), match.route)
+  //   accepts(params)          optional; reject a structural match (e.g. unknown article id)
+  //   revisit(match, previous) optional; handle a move from another route of this handler in place
+  //                            (e.g. between anchors of the open article), returning true to skip the render
+  // Returns a function that removes the route again.
+  registerRoute(pattern, handler) {
+    const entry = { pattern, match: compileRoutePattern(pattern), handler };
+    this.routes.push(entry);
+    return () => {
+      this.routes = this.routes.filter((candidate) => candidate !== entry);
+    };
+  }
+
+  // Public widget API. `plugin` hooks, each given a context { type, core, signal } whose
+  // AbortSignal fires on unmount (handy for addEventListener and fetch):
+  //   render(data, context)            returns the widget's HTML; required
+  //   mount(element, data, context)    optional; runs once the HTML is in the slot
+  //   update(element, data, context)   optional; new data for a mounted widget (default: unmount and re-render)
+  //   unmount(element, context)        optional; the slot is leaving, with its route or an edit
+  //   schema                           optional; field rules for the data, in content-validator.js format
+  // Data that fails its schema renders a placeholder instead. Replaces any plugin already
+  // registered for `type`; returns a function that removes it again.
+  registerWidget(type, plugin) {
+    if (typeof plugin?.render !== "function") {
+      throw new TypeError(`registerWidget("${type}") needs a render(data, context) function`);
+    }
+    this.widgetRegistry.set(type, plugin);
+    if (plugin.schema) {
+      window.BGM_Validator?.registerWidgetSchema(type, plugin.schema);
+    }
+    return () => {
+      if (this.widgetRegistry.get(type) === plugin) {
+        this.widgetRegistry.delete(type);
+      }
+    };
+  }
+
+  // The same, page-wide: plugin scripts never see the core main.js boots, so this registers
+  // with every running core and each one created later. Scripts that load before main.js
+  // queue window.BGM_WIDGETS.push([type, plugin]) instead. Returns a function that removes it.
+  static registerWidget(type, plugin) {
+    if (typeof plugin?.render !== "function") {
+      throw new TypeError(`registerWidget("${type}") needs a render(data, context) function`);
+    }
+    sharedWidgetPlugins.set(type, plugin);
+    liveCores.forEach((core) => core.registerWidget(type, plugin));
+    return () => {
+      if (sharedWidgetPlugins.get(type) === plugin) {
+        sharedWidgetPlugins.delete(type);
+      }
+      liveCores.forEach((core) => {
+        if (core.widgetRegistry.get(type) === plugin) {
+          core.widgetRegistry.delete(type);
+        }
+      });
+    };
+  }
+
+  // Public block API: renderer(block, { article, widget, payload }) returns the block's HTML
+  // ("" to render nothing). Replaces any renderer already registered for `type`.
+  // Returns a function that removes it again.
+  registerBlock(type, renderer) {
+    this.blockRegistry.set(type, renderer);
+    return () => {
+      if (this.blockRegistry.get(type) === renderer) {
+        this.blockRegistry.delete(type);
+      }
+    };
+  }
+
+  registerDefaultRoutes() {
+    // Whichever view is the default route is the site root; the others take their nav label
+    const viewHead = (match) => (match.path === this.defaultRoute()
+      ? { route: "", title: "" }
+      : { title: this.navigationItem(match.path)?.label || match.path });
+
+    this.registerRoute("home", {
+      title: () => "Editorial Theater",
+      head: viewHead,
+      render: () => this.renderHome(),
+      patch: () => this.patchHome(),
+      affectedBy: (match, diff) => this.homeAffectedBy(diff),
+      nav: () => "home"
+    });
+
+    this.registerRoute("latest", {
+      title: () => this.navigationItem("latest")?.label || "Latest",
+      head: viewHead,
+      render: () => this.renderLatest(),
+      patch: () => this.patchLatest(),
+      affectedBy: (match, diff) => diff.touches("articles"),
+      nav: () => "latest"
+    });
+
+    this.registerRoute("watch", {
+      title: () => this.navigationItem("watch")?.label || "Watch",
+      head: viewHead,
+      render: () => this.renderWatch(),
+      patch: () => this.patchWatch(),
+      affectedBy: (match, diff) => diff.touches("articles"),
+      nav: () => "watch"
+    });
+
+    this.registerRoute("search", {
+      title: () => "Search",
+      head: (match) => {
+        const query = match.query.get("q") || "";
+        return { title: query ? `Search: ${query}` : "Search", noindex: true };
+      },
+      render: (match) => this.renderSearch(match.query.get("q") || ""),
+      patch: (match) => this.updateSearchResults(match.query.get("q") || ""),
+      affectedBy: (match, diff) => diff.touches("articles"),
+      nav: () => "search"
+    });
+
+    this.registerRoute("tag/:tag", {
+      accepts: ({ tag }) => this.articlesWhere("tags", tag).length > 0,
+      title: () => "Topic",
+      head: ({ params }) => {
+        const label = this.listingLabel("tags", params.tag);
+        return { title: label, description: `Stories about ${label}`, route: `tag/${encodeURIComponent(label)}` };
+      },
+      render: ({ params }) => this.renderListing("tags", params.tag),
+      affectedBy: (match, diff) => diff.touches("articles")
+    });
+
+    this.registerRoute("author/:name", {
+      accepts: ({ name }) => this.articlesWhere("authors", name).length > 0,
+      title: () => "Author",
+      head: ({ params }) => {
+        const label = this.listingLabel("authors", params.name);
+        return { title: label, description: `Stories by ${label}`, route: `author/${encodeURIComponent(label)}` };
+      },
+      render: ({ params }) => this.renderListing("authors", params.name),
+      affectedBy: (match, diff) => diff.touches("articles")
+    });
+
+    // Personal, so kept out of search engines
+    this.savedRoute = {
+      title: () => this.navigationItem("saved")?.label || "Saved",
+      head: (match) => ({ ...viewHead(match), noindex: true }),
+      render: () => this.renderSaved(),
+      patch: () => this.patchSaved(),
+      affectedBy: (match, diff) => diff.touches("articles"),
+      nav: () => "saved"
+    };
+    this.registerRoute("saved", this.savedRoute);
+
+    const article = {
+      accepts: ({ id }) => this.state.articlesById.has(id),
+      title: ({ params }) => this.state.articlesById.get(params.id)?.kicker || "Featured",
+      // Deep links to a section share the article's canonical URL
+      head: ({ params }) => {
+        const story = this.state.articlesById.get(params.id);
+        return { article: story, route: params.id, noindex: Boolean(story?.previewState) };
+      },
+      render: ({ params }) => this.renderArticle(params.id, params.anchor),
+      // Footnote links and other anchors within the open article just scroll
+      revisit: ({ params }, previous) => params.id === previous.params.id && this.scrollToAnchor(params.anchor),
+      patch: ({ params }) => this.patchArticle(params.id),
+      affectedBy: ({ params }, diff) => diff.touches(`article:${params.id}`)
+    };
+    this.registerRoute("article/:id/:anchor?", article);
+    // Bare ids (spec §3.3) are what cards link to
+    this.registerRoute(":id", article);
+  }
+
+  defaultRoute() {
+    return this.state.content?.meta?.defaultRoute || "home";
+  }
+
+  navigationItem(id) {
+    return (this.state.content?.navigation?.primary || []).find((item) => item.id === id);
+  }
+
+  // Sites deployed with scripts/prerender.js output (this page being one of them)
+  // give articles their static URL; everything else is a hash route off the site root
+  canonicalUrl(route) {
+    const base = this.state.content?.meta?.siteUrl || new URL(".", document.baseURI).href;
+    if (this.prerenderedRoute && this.state.articlesById.has(route)) {
+      return BGM_Head.absoluteUrl(BGM_Head.articlePath(route), base);
+    }
+    return BGM_Head.absoluteUrl(route ? `#${route}` : base, base);
+  }
+
+  routeHead(match) {
+    const page = match.handler.head ? match.handler.head(match) : {};
+    const { route = match.route, title = match.handler.title(match), ...rest } = page;
+    return BGM_Head.describeHead(this.state.content, { url: this.canonicalUrl(route), title, ...rest });
+  }
+
+  applyRouteHead(match) {
+    BGM_Head.applyHead(this.routeHead(match));
+  }
+
+  resolveRoute(route) {
+    const path = routePath(route);
+    const query = routeQuery(route);
+    for (const entry of this.routes) {
+      const params = entry.match(path);
+      if (params && (!entry.handler.accepts || entry.handler.accepts(params))) {
+        return { route, path, params, query, handler: entry.handler };
+      }
+    }
+    return { route, path, params: {}, query, handler: this.notFoundRoute };
+  }
+
+  routeAffectedBy(route, diff) {
+    const match = this.resolveRoute(route);
+    // e.g. the open article was unpublished, or a 404'd tag gained its first story
+    if (match.handler !== this.state.currentMatch?.handler) {
+      return true;
+    }
+    return match.handler.affectedBy ? match.handler.affectedBy(match, diff) : true;
+  }
+
+  homeAffectedBy(diff) {
+    const home = this.state.content?.home || {};
+    const homeArticleIds = [
+      ...(home.feed || []).map((entry) => entry?.articleId),
+      ...(home.featured || []),
+      ...(home.rails || []).flatMap((rail) => rail.items || [])
+    ];
+    return diff.home || diff.touches("rails") || homeArticleIds.some((id) => diff.touches(`article:${id}`));
+  }
+
+  // Applies a content update to the current view in place: only regions whose
+  // data changed are swapped, so scroll position and playing media survive.
+  patchRoute(route) {
+    const match = this.resolveRoute(route);
+    if (match.handler !== this.state.currentMatch?.handler || !match.handler.patch) {
+      this.renderRoute(route);
+      return;
+    }
+
+    const scroller = this.mount.closest(".route-shell");
+    const scrollTop = scroller?.scrollTop ?? 0;
+    if (match.handler.patch(match) === false) {
+      this.renderRoute(route);
+      return;
+    }
+    this.state.currentMatch = match;
+    this.routeTitle.textContent = match.handler.title(match);
+    this.applyRouteHead(match);
+
+    this.observeWidgets();
+    this.bindMedia();
+    if (scroller) {
+      scroller.scrollTop = scrollTop;
+    }
+  }
+
+  // Adopts prerendered markup in place of a first render. Region keys are content
+  // hashes, so patching keeps every prerendered node; widget slot ids line up because
+  // this core numbers slots from the same starting point the prerender did.
+  hydrateRoute(match) {
+    const { hashString, signature } = BGM_ContentDiff;
+    const builtFrom = this.mount.dataset.contentHash;
+    delete this.mount.dataset.prerendered;
+    delete this.mount.dataset.contentHash;
+    if (match.route !== this.prerenderedRoute || builtFrom !== hashString(signature(this.state.content))) {
+      return false;
+    }
+    if (!match.handler.patch || match.handler.patch(match) === false) {
+      return false;
+    }
+    this.observeWidgets();
+    this.bindMedia();
+    return true;
+  }
+
+  patchHome() {
+    const grid = this.mount.querySelector(".home-grid");
+    if (!grid) {
+      return false;
+    }
+    this.reconcileRegions(grid, this.homeRegions());
+    return true;
+  }
+
+  patchLatest() {
+    const stream = this.mount.querySelector(".latest-stream");
+    if (!stream) {
+      return false;
+    }
+    this.reconcileRegions(stream, this.latestRegions());
+    this.replaceRegion(this.mount.querySelector(".latest-more"), this.latestMoreRegion());
+    return true;
+  }
+
+  patchWatch() {
+    const grid = this.mount.querySelector(".watch-grid");
+    if (!grid) {
+      return false;
+    }
+    this.reconcileRegions(grid, this.watchRegions());
+    if (this.watchPreview && !this.watchPreview.card.isConnected) {
+      this.stopWatchPreview();
+    }
+    return true;
+  }
+
+  patchArticle(id) {
+    const article = this.state.articlesById.get(id);
+    const shell = this.mount.querySelector(".article-shell");
+    if (!article || !shell) {
+      return false;
+    }
+    const regions = this.articleRegions(article);
+    this.replaceRegion(shell.querySelector(".article-hero"), regions.hero);
+    this.replaceRegion(shell.querySelector(".article-header"), regions.header);
+    this.reconcileRegions(shell.querySelector(".article-body"), regions.blocks);
+    // Adopting a prerendered article starts reading it; later patches carry on
+    this.beginReading(id);
+    return true;
+  }
+
+  keyRegion(key, html) {
+    return { key, html: withAttribute(html, "data-key", key) };
+  }
+
+  createRegionNode(html) {
+    const template = document.createElement("template");
+    template.innerHTML = html.trim();
+    return template.content.firstElementChild;
+  }
+
+  // Keyed reconcile: children whose data-key survives are kept (and moved if needed),
+  // new keys are created from their HTML, and the rest are discarded.
+  reconcileRegions(container, regions) {
+    const available = new Map();
+    for (const child of container.children) {
+      const key = child.dataset.key;
+      if (!available.has(key)) {
+        available.set(key, []);
+      }
+      available.get(key).push(child);
+    }
+
+    let position = 0;
+    for (const region of regions) {
+      const node = available.get(region.key)?.shift() || this.createRegionNode(region.html);
+      if (!node) {
+        continue;
+      }
+      if (container.children[position] !== node) {
+        container.insertBefore(node, container.children[position] || null);
+      }
+      position += 1;
+    }
+
+    for (const leftovers of available.values()) {
+      leftovers.forEach((node) => this.discardRegion(node));
+    }
+  }
+
+  replaceRegion(node, region) {
+    if (!node || node.dataset.key === region.key) {
+      return;
+    }
+    const replacement = this.createRegionNode(region.html);
+    node.before(replacement);
+    this.discardRegion(node);
+  }
+
+  discardRegion(node) {
+    for (const media of node.querySelectorAll("[data-bgm-media]")) {
+      this.pauseMedia(media);
+      this.mediaPreloadObserver?.unobserve(media);
+      this.mediaVisibilityObserver?.unobserve(media);
+    }
+    // Article widget blocks are slots themselves
+    const slots = [node, ...node.querySelectorAll(".widget-slot")].filter((candidate) => candidate.matches(".widget-slot"));
+    for (const slot of slots) {
+      this.widgetObserver?.unobserve(slot);
+      this.disconnectWidgetSource(slot);
+      this.unmountWidget(slot);
+    }
+    node.remove();
+  }
+
+  reportContentIssues(content) {
+    const validator = window.BGM_Validator;
+    if (!validator) {
+      console.warn("[BGM_Core] devMode is on but content-validator.js is not loaded");
+      return;
+    }
+    const result = validator.validateContent(content);
+    for (const issue of [...result.errors, ...result.warnings]) {
+      console.warn(`[BGM_Core] content.json ${validator.formatIssue(issue)}`);
+    }
+    validator.renderOverlay(result);
+  }
+
+  parseHashRoute() {
+    const value = window.location.hash.replace(/^#/, "").trim();
+    return value || this.prerenderedRoute || this.defaultRoute();
+  }
+
+  // Only tidies the hash; routes nothing matches render the not-found view rather than redirecting
+  normalizeRoute(routeCandidate) {
+    const [path, ...query] = String(routeCandidate || "").split("?");
+    return [path.replace(/^\/+|\/+$/g, "") || "home", ...query].join("?");
+  }
+
+  navigate(route) {
+    const normalizedRoute = this.normalizeRoute(route);
+    const targetHash = `#${normalizedRoute}`;
+    if (window.location.hash !== targetHash) {
+      this.expectedHash = targetHash;
+      window.location.hash = targetHash;
+      return;
+    }
+    this.renderRoute(normalizedRoute);
+  }
+
+  handleRouteChange() {
+    // A hash we didn't set ourselves is Back/Forward (or an edited address bar)
+    const fromHistory = window.location.hash !== this.expectedHash;
+    this.expectedHash = null;
+    const requestedRoute = this.parseHashRoute();
+    const normalizedRoute = this.normalizeRoute(requestedRoute);
+    if (normalizedRoute !== requestedRoute) {
+      this.navigate(normalizedRoute);
+      return;
+    }
+    this.renderRoute(normalizedRoute, { fromHistory });
+  }
+
+  onNavClick(event) {
+    const button = event.target.closest("[data-route]");
+    if (!button) {
+      return;
+    }
+    const route = button.getAttribute("data-route") || "home";
+    this.navigate(route);
+  }
+
+  onMountClick(event) {
+    // Taps on touch screens never produce a hover, so clicks also reveal the cell value
+    const heatmapCell = event.target.closest(".heatmap-cell");
+    if (heatmapCell) {
+      this.showHeatmapTooltip(heatmapCell);
+      return;
+    }
+
+    const saveToggle = event.target.closest("[data-save]");
+    if (saveToggle) {
+      this.toggleSaved(saveToggle);
+      return;
+    }
+
+    // Prerendered pages set <base href>, which would send plain hash links to the site root
+    const hashLink = event.target.closest('a[href^="#"]');
+    if (hashLink && !event.metaKey && !event.ctrlKey && !event.shiftKey) {
+      event.preventDefault();
+      this.lastActivated = hashLink;
+      this.navigate(hashLink.getAttribute("href").slice(1));
+      return;
+    }
+
+    const galleryStep = event.target.closest("[data-gallery-step]");
+    if (galleryStep) {
+      this.stepGallery(galleryStep.closest(".block-gallery"), Number(galleryStep.dataset.galleryStep));
+      return;
+    }
+
+    if (event.target.closest("[data-latest-more]")) {
+      this.loadMoreLatest();
+      return;
+    }
+
+    const target = event.target.closest("[data-route-link]");
+    if (!target) {
+      return;
+    }
+    const route = target.getAttribute("data-route-link");
+    if (route) {
+      this.lastActivated = target;
+      this.navigate(route);
+    }
+  }
+
+  renderNavigation() {
+    const navItems = this.state.content?.navigation?.primary || [];
+    this.nav.innerHTML = navItems
+      .map(
+        (item) => `
+        <button class="nav-pill" data-route="${escapeHTML(item.id)}">
+          ${escapeHTML(item.label)}
+        </button>
+      `
+      )
+      .join("");
+    this.paintActiveNav(this.state.currentRoute);
+  }
+
+  renderRoute(route, { fromHistory = false } = {}) {
+    if (!this.state.content) return;
+
+    // Prevent redundant rendering if simply validating hash
+    // (though in this simple router, re-rendering is safe/idempotent)
+
+    const match = this.resolveRoute(route);
+    const previous = this.state.currentMatch;
+    const isRevisit = route !== this.state.currentRoute && previous?.handler === match.handler;
+    // A view the reader navigated to, as opposed to the first paint or a content refresh
+    const isNewView = Boolean(previous) && route !== this.state.currentRoute;
+    if (isNewView) {
+      this.rememberFocusOrigin(this.state.currentRoute);
+    }
+    this.state.currentRoute = route;
+    this.state.currentMatch = match;
+    this.paintActiveNav(route);
+    this.options.onRouteChange(route);
+
+    if (isRevisit && match.handler.revisit?.(match, previous)) {
+      this.applyRouteHead(match);
+      return;
+    }
+    if (isNewView) {
+      // While the outgoing article is still on screen, so its place is saved as left
+      this.endReading();
+    }
+
+    if (this.hydrating) {
+      this.hydrating = false;
+      if (this.hydrateRoute(match)) {
+        // The build knew nothing of this reader's saved stories
+        this.paintSaveToggles();
+        return;
+      }
+    }
+    this.applyRouteHead(match);
+
+    // Silence the outgoing view right away; its DOM may linger through the view transition
+    this.releaseWidgets();
+    this.releaseMedia();
+
+    const routeRenderer = () => {
+      this.routeTitle.textContent = match.handler.title(match);
+      match.handler.render(match);
+      this.observeWidgets();
+      this.bindMedia();
+      if (isNewView) {
+        this.settleFocus(route, fromHistory);
+        this.announcer.textContent = document.title;
+      }
+    };
+
+    const commitDOM = () =>
+      new Promise((resolve) => {
+        window.requestAnimationFrame(() => {
+          // A renderer that throws must still end the navigation, or isNavigating sticks
+          try {
+            routeRenderer();
+          } finally {
+            resolve();
+          }
+        });
+      });
+
+    if (isNewView) {
+      // Cleared first so returning to a same-titled view is still announced
+      this.announcer.textContent = "";
+    }
+    this.state.isNavigating = true;
+    const reduceMotion = window.matchMedia?.("(prefers-reduced-motion: reduce)").matches;
+    if (this.options.enableViewTransitions && "startViewTransition" in document && !reduceMotion) {
+      /* @ANTIGRAVITY_INJECT: [MORPHING_HERO_IMAGE_TRANSITION] */
+      document
+        .startViewTransition(() => commitDOM().then(() => this.heroDecoded()))
+        .finished.finally(() => this.finishNavigation());
+    } else {
+      commitDOM().finally(() => this.finishNavigation());
+    }
+  }
+
+  finishNavigation() {
+    this.state.isNavigating = false;
+    if (this.contentUpdatePending) {
+      this.contentUpdatePending = false;
+      this.patchRoute(this.state.currentRoute);
+    }
+    // The committed view resolved its route before saved stories finished loading
+    if (this.savedChangePending) {
+      this.savedChangePending = false;
+      this.onSavedChange();
+    }
+  }
+
+  // The transition snapshots the new view once its update resolves; a hero whose srcset
+  // candidate is still loading would morph into its blur-up placeholder
+  heroDecoded() {
+    const hero = this.mount.querySelector(".article-hero .hero-media");
+    if (!hero?.decode) {
+      return Promise.resolve();
+    }
+    return Promise.race([
+      hero.decode().catch(() => {
+        // Broken or cancelled; morph into whatever is there
+      }),
+      new Promise((resolve) => window.setTimeout(resolve, HERO_DECODE_BUDGET_MS))
+    ]);
+  }
+
+  createReadingBar() {
+    const topBar = document.querySelector("#top-bar");
+    if (!topBar) {
+      return null;
+    }
+    const bar = document.createElement("div");
+    bar.className = "reading-progress";
+    bar.setAttribute("role", "progressbar");
+    bar.setAttribute("aria-label", "Reading progress");
+    bar.setAttribute("aria-valuemin", "0");
+    bar.setAttribute("aria-valuemax", "100");
+    bar.hidden = true;
+    topBar.append(bar);
+    return bar;
+  }
+
+  // 0 at the top of the open view, 1 once its end is on screen
+  readingPosition() {
+    const range = this.scroller ? this.scroller.scrollHeight - this.scroller.clientHeight : 0;
+    return range > 0 ? Math.min(Math.max(this.scroller.scrollTop / range, 0), 1) : 0;
+  }
+
+  paintReadingBar(position) {
+    if (!this.readingBar) {
+      return;
+    }
+    this.readingBar.hidden = !this.readingArticleId;
+    this.readingBar.style.setProperty("--reading-progress", position.toFixed(4));
+    this.readingBar.setAttribute("aria-valuenow", String(Math.round(position * 100)));
+  }
+
+  onReadingScroll() {
+    if (!this.readingArticleId || this.readingFrame) {
+      return;
+    }
+    this.readingFrame = window.requestAnimationFrame(() => {
+      this.readingFrame = null;
+      this.trackReading();
+    });
+  }
+
+  trackReading() {
+    const id = this.readingArticleId;
+    if (!id || !this.scroller) {
+      return;
+    }
+    const position = this.readingPosition();
+    this.paintReadingBar(position);
+    // Renders put a new view at the top; only the reader's own scrolling moves their saved place
+    if (this.scroller.scrollTop <= 0) {
+      return;
+    }
+    if (this.resumePrompt && position >= this.resumePrompt.position - 0.01) {
+      // They found their own way back
+      this.dismissResumePrompt();
+    }
+    this.pendingReading = { id, position };
+    if (this.readingSaveTimer === null) {
+      this.readingSaveTimer = window.setTimeout(() => this.flushReadingProgress(), READING_SAVE_INTERVAL_MS);
+    }
+  }
+
+  flushReadingProgress() {
+    window.clearTimeout(this.readingSaveTimer);
+    this.readingSaveTimer = null;
+    if (this.pendingReading) {
+      this.readingProgress.record(this.pendingReading.id, this.pendingReading.position);
+      this.pendingReading = null;
+    }
+  }
+
+  // Runs on every render and patch of an article; only the first for a given article
+  // starts reading it (and offers to resume a saved place)
+  beginReading(id, { offerResume = true } = {}) {
+    if (this.readingArticleId === id) {
+      return;
+    }
+    this.readingArticleId = id;
+    this.paintReadingBar(this.readingPosition());
+    const saved = this.readingProgress.get(id);
+    if (offerResume && saved && saved.position >= RESUME_MIN_PROGRESS && saved.progress < READ_THROUGH_PROGRESS) {
+      this.offerResume(saved.position);
+    }
+  }
+
+  endReading() {
+    if (!this.readingArticleId) {
+      return;
+    }
+    window.cancelAnimationFrame(this.readingFrame);
+    this.readingFrame = null;
+    this.trackReading();
+    this.flushReadingProgress();
+    this.dismissResumePrompt();
+    this.readingArticleId = null;
+    this.paintReadingBar(0);
+  }
+
+  offerResume(position) {
+    this.dismissResumePrompt();
+    const element = document.createElement("div");
+    element.className = "update-toast resume-toast";
+    element.setAttribute("role", "status");
+    element.innerHTML = `
+      <span>Pick up where you left off (${Math.round(position * 100)}% in)?</span>
+      <button type="button" class="update-toast-action" data-resume>Resume</button>
+      <button type="button" class="resume-toast-dismiss" aria-label="Dismiss">×</button>
+    `;
+    element.addEventListener("click", (event) => {
+      if (event.target.closest("[data-resume]")) {
+        this.resumeReading(position);
+      }
+      if (event.target.closest("button")) {
+        this.dismissResumePrompt();
+      }
+    });
+    document.body.append(element);
+    this.resumePrompt = { element, position };
+  }
+
+  dismissResumePrompt() {
+    this.resumePrompt?.element.remove();
+    this.resumePrompt = null;
+  }
+
+  resumeReading(position) {
+    if (!this.scroller) {
+      return;
+    }
+    this.scroller.scrollTop = position * (this.scroller.scrollHeight - this.scroller.clientHeight);
+    // The prompt's button is about to go; keep keyboard focus in the story
+    const body = this.mount.querySelector(".article-body");
+    if (body) {
+      body.setAttribute("tabindex", "-1");
+      body.focus({ preventScroll: true });
+    }
+  }
+
+  // The link (or route button) that is taking the reader away from `route`
+  rememberFocusOrigin(route) {
+    const active = document.activeElement;
+    const origin = (active && active !== this.mount && this.mount.contains(active) ? active : this.lastActivated)
+      ?.closest?.("a[href], [data-route-link]");
+    this.lastActivated = null;
+    if (!origin?.isConnected) {
+      return;
+    }
+    const attribute = origin.hasAttribute("data-route-link") ? "data-route-link" : "href";
+    this.focusOrigins.set(route, { attribute, value: origin.getAttribute(attribute) });
+  }
+
+  // Back/Forward returns focus to the link that left this view; anything else lands on the new view's heading
+  settleFocus(route, fromHistory) {
+    const origin = fromHistory ? this.focusOrigins.get(route) : null;
+    const link = origin
+      ? [...this.mount.querySelectorAll(`[${origin.attribute}]`)].find((node) => node.getAttribute(origin.attribute) === origin.value)
+      : null;
+    if (link) {
+      link.focus();
+      return;
+    }
+    const heading = this.mount.querySelector("h1, .listing-title") || this.routeTitle;
+    heading.setAttribute("tabindex", "-1");
+    heading.focus({ preventScroll: true });
+  }
+
+  renderWidgetSlot(widget, payload, extraClass = "") {
+    this.widgetSlotCount += 1;
+    const slotId = `widget-slot-${this.widgetSlotCount}`;
+    this.pendingSlotPayloads.set(slotId, { type: widget.type, payload, instance: widget.id || "", source: widget.source || null });
+    const instance = widget.id ? ` data-widget-id="${escapeHTML(widget.id)}"` : "";
+    return `
+      <section class="widget-slot is-pending ${extraClass}" id="${slotId}" data-widget="${escapeHTML(widget.type)}"${instance}>
+        <span class="widget-title">${escapeHTML(payload.label || "")}</span>
+        <span class="widget-placeholder" aria-hidden="true"></span>
+      </section>
+    `;
+  }
+
+  observeWidgets() {
+    for (const [slotId, pending] of this.pendingSlotPayloads) {
+      const slot = this.mount.querySelector(`#${slotId}`);
+      if (slot?.classList.contains("is-pending")) {
+        this.pendingWidgets.set(slot, pending);
+        if (this.widgetObserver) {
+          this.widgetObserver.observe(slot);
+        } else {
+          this.hydrateWidget(slot);
+        }
+      } else if (!slot && pending.instance) {
+        // A patch kept the widget's existing slot (block keys ignore the payload); hand it the new data
+        const kept = [...this.mount.querySelectorAll(".widget-slot[data-widget-id]")]
+          .find((node) => node.dataset.widgetId === pending.instance);
+        if (kept) {
+          this.updateKeptWidget(kept, pending);
+        }
+      }
+    }
+    this.pendingSlotPayloads.clear();
+  }
+
+  onWidgetNearViewport(entries) {
+    for (const entry of entries) {
+      if (entry.isIntersecting) {
+        this.widgetObserver.unobserve(entry.target);
+        this.hydrateWidget(entry.target);
+      }
+    }
+  }
+
+  hydrateWidget(slot) {
+    const pending = this.pendingWidgets.get(slot);
+    if (!pending || !slot.isConnected) {
+      return;
+    }
+    this.pendingWidgets.delete(slot);
+    // A live widget whose static data isn't renderable on its own keeps its placeholder until the first fetch
+    if (!pending.source?.url || this.widgetDataIssues(pending.type, pending.payload).length === 0) {
+      this.revealWidget(slot, pending);
+    }
+    if (pending.source?.url) {
+      this.connectWidgetSource(slot, pending);
+    }
+  }
+
+  revealWidget(slot, pending) {
+    this.mountWidget(slot, pending);
+    slot.classList.remove("is-pending");
+    // Entry animations are keyed off .is-hydrated in style.css
+    slot.classList.add("is-hydrated");
+  }
+
+  // A patch kept the slot but the widget's content.json entry changed
+  updateKeptWidget(slot, pending) {
+    const { signature } = BGM_ContentDiff;
+    const live = this.widgetSources.get(slot);
+    if (live && signature(live.pending.source) === signature(pending.source)) {
+      live.pending = pending;
+      this.applyWidgetSource(slot);
+      return;
+    }
+    this.disconnectWidgetSource(slot);
+    this.updateWidget(slot, pending);
+    if (pending.source?.url && !this.pendingWidgets.has(slot)) {
+      this.connectWidgetSource(slot, pending);
+    }
+  }
+
+  connectWidgetSource(slot, pending) {
+    const feed = new WidgetDataSource(pending.source, {
+      defaultRefreshMs: this.options.widgetRefreshMs,
+      onUpdate: () => this.applyWidgetSource(slot)
+    });
+    this.widgetSources.set(slot, { feed, pending, asOf: null, rejected: false });
+    feed.start();
+  }
+
+  disconnectWidgetSource(slot) {
+    this.widgetSources.get(slot)?.feed.stop();
+    this.widgetSources.delete(slot);
+  }
+
+  // Live fields are laid over the widget's static data, then go through the usual update lifecycle
+  applyWidgetSource(slot) {
+    const live = this.widgetSources.get(slot);
+    if (!live) {
+      return;
+    }
+    if (!slot.isConnected) {
+      this.disconnectWidgetSource(slot);
+      return;
+    }
+    const { feed, pending } = live;
+    const next = { ...pending, payload: feed.data ? { ...pending.payload, ...feed.data } : pending.payload };
+    const issues = this.widgetDataIssues(next.type, next.payload);
+    live.rejected = Boolean(feed.data) && issues.length > 0;
+    if (issues.length === 0) {
+      live.asOf = feed.data ? feed.asOf : null;
+      if (slot.classList.contains("is-pending")) {
+        this.revealWidget(slot, next);
+      } else {
+        this.updateWidget(slot, next);
+      }
+    } else if (live.rejected) {
+      console.warn(`[BGM_Core] live data for widget "${next.type}" from ${feed.source.url} doesn't match its schema`, issues);
+    }
+    // Nothing renderable has arrived and the source is failing: show the fallback, not an endless shimmer
+    if (slot.classList.contains("is-pending") && (feed.error || live.rejected)) {
+      this.revealWidget(slot, next);
+    }
+    this.renderWidgetFreshness(slot, live);
+  }
+
+  // "As of" line under a live widget; re-added after a re-mount replaces the slot's markup
+  renderWidgetFreshness(slot, { feed, asOf, rejected }) {
+    let note = slot.querySelector(".widget-freshness");
+    if (!note) {
+      note = document.createElement("p");
+      note.className = "widget-freshness";
+      slot.appendChild(note);
+    }
+    const stale = feed.isStale || rejected;
+    note.classList.toggle("is-stale", stale);
+    if (!asOf) {
+      note.textContent = feed.data || feed.error ? "Live data unavailable" : "";
+      return;
+    }
+    const sameDay = localDayKey(asOf) === localDayKey(new Date().toISOString());
+    const when = sameDay ? formatTime(asOf) : `${formatDate(asOf)}, ${formatTime(asOf)}`;
+    note.innerHTML = `
+      <time datetime="${escapeHTML(asOf)}">As of ${escapeHTML(when)}</time>
+      ${stale ? '<span class="widget-stale">Stale</span>' : ""}
+    `;
+  }
+
+  mountWidget(slot, { type, payload }) {
+    const plugin = this.widgetRegistry.get(type);
+    const issues = plugin ? this.widgetDataIssues(type, payload) : [];
+    if (!plugin || issues.length > 0) {
+      slot.innerHTML = this.renderWidgetFallback(type, payload, issues);
+      return;
+    }
+    const controller = new AbortController();
+    const context = { type, core: this, signal: controller.signal };
+    try {
+      slot.innerHTML = plugin.render(payload, context);
+      this.mountedWidgets.set(slot, { type, payload, plugin, controller, context });
+      plugin.mount?.(slot, payload, context);
+    } catch (error) {
+      console.error(`[BGM_Core] widget "${type}" failed to mount`, error);
+      this.unmountWidget(slot);
+      slot.innerHTML = this.renderWidgetFallback(type, payload);
+    }
+    this.bindMedia(slot);
+  }
+
+  updateWidget(slot, pending) {
+    // Not hydrated yet: it will render the new data when it nears the viewport
+    if (this.pendingWidgets.has(slot)) {
+      this.pendingWidgets.set(slot, pending);
+      return;
+    }
+    const { signature } = BGM_ContentDiff;
+    const mounted = this.mountedWidgets.get(slot);
+    if (mounted && signature(mounted.payload) === signature(pending.payload)) {
+      return;
+    }
+    if (mounted?.plugin.update && mounted.type === pending.type && this.widgetDataIssues(pending.type, pending.payload).length === 0) {
+      try {
+        mounted.plugin.update(slot, pending.payload, mounted.context);
+        mounted.payload = pending.payload;
+        return;
+      } catch (error) {
+        console.error(`[BGM_Core] widget "${pending.type}" failed to update; re-mounting`, error);
+      }
+    }
+    for (const media of slot.querySelectorAll("[data-bgm-media]")) {
+      this.pauseMedia(media);
+    }
+    this.unmountWidget(slot);
+    this.mountWidget(slot, pending);
+  }
+
+  unmountWidget(slot) {
+    const mounted = this.mountedWidgets.get(slot);
+    if (!mounted) {
+      return;
+    }
+    this.mountedWidgets.delete(slot);
+    try {
+      mounted.plugin.unmount?.(slot, mounted.context);
+    } catch (error) {
+      console.error(`[BGM_Core] widget "${mounted.type}" failed to unmount`, error);
+    } finally {
+      mounted.controller.abort();
+    }
+  }
+
+  // Schema errors for the payload, when content-validator.js is loaded
+  widgetDataIssues(type, payload) {
+    return window.BGM_Validator?.validateWidget?.(type, payload).errors || [];
+  }
+
+  releaseWidgets() {
+    this.widgetObserver?.disconnect();
+    this.pendingWidgets = new WeakMap();
+    for (const slot of [...this.widgetSources.keys()]) {
+      this.disconnectWidgetSource(slot);
+    }
+    for (const slot of [...this.mountedWidgets.keys()]) {
+      this.unmountWidget(slot);
+    }
+  }
+
+  bindMedia(root = this.mount) {
+    for (const media of root.querySelectorAll("[data-bgm-media]")) {
+      if (!this.mediaPreloadObserver) {
+        if (media.tagName === "VIDEO") {
+          media.preload = media.dataset.preload;
+        } else {
+          media.src = media.dataset.src;
+        }
+        continue;
+      }
+      this.mediaPreloadObserver.observe(media);
+      this.mediaVisibilityObserver.observe(media);
+    }
+  }
+
+  releaseMedia() {
+    this.stopWatchPreview();
+    this.mediaPreloadObserver?.disconnect();
+    this.mediaVisibilityObserver?.disconnect();
+    for (const media of this.mount.querySelectorAll("[data-bgm-media]")) {
+      this.pauseMedia(media);
+    }
+  }
+
+  pauseMedia(media) {
+    if (media.tagName === "VIDEO") {
+      media.pause();
+      return;
+    }
+    const message = EMBED_PAUSE_MESSAGES[media.dataset.provider];
+    if (message) {
+      media.contentWindow?.postMessage(message, "*");
+    }
+  }
+
+  onMediaNearViewport(entries) {
+    for (const entry of entries) {
+      if (!entry.isIntersecting) {
+        continue;
+      }
+      const media = entry.target;
+      if (media.tagName === "VIDEO") {
+        media.preload = media.dataset.preload;
+      } else if (!media.src) {
+        media.src = media.dataset.src;
+      }
+      this.mediaPreloadObserver.unobserve(media);
+    }
+  }
+
+  onMediaVisibility(entries) {
+    for (const entry of entries) {
+      const media = entry.target;
+      if (!entry.isIntersecting) {
+        this.pauseMedia(media);
+      } else if (media.tagName === "VIDEO" && media.dataset.autoplay === "true" && media.paused) {
+        media.play().catch(() => {
+          // Browsers refuse unmuted autoplay; the reader can still press play.
+        });
+      }
+    }
+  }
+
+  paintActiveNav(route) {
+    // For this UI, article view might not highlight any bottom nav, which is fine
+    const match = this.resolveRoute(route);
+    const activeRoute = match.handler.nav?.(match) ?? null;
+    for (const button of this.nav.querySelectorAll(".nav-pill")) {
+      const isActive = button.getAttribute("data-route") === activeRoute;
+      button.classList.toggle("is-active", isActive);
+    }
+  }
+
+  renderHome() {
+    const regionsHtml = this.homeRegions().map((region) => region.html).join("");
+
+    this.mount.innerHTML = `
+      <section class="home-grid">
+        ${regionsHtml}
+      </section>
+    `;
+  }
+
+  // home.feed packed into bento grids by priority, with a full-width rail after every
+  // homeRailInterval tiles; content without a feed keeps the featured hero above the rails
+  homeRegions() {
+    const { hashString, signature } = BGM_ContentDiff;
+    const content = this.state.content || {};
+    const tiles = this.homeFeedTiles();
+    const regions = [];
+
+    if (tiles.length === 0) {
+      const featuredArticle = this.state.articlesById.get((content.home?.featured || [])[0]);
+      if (featuredArticle) {
+        regions.push(this.keyRegion(`hero:${hashString(signature(featuredArticle))}`, this.renderHero(featuredArticle)));
+      }
+    }
+
+    const rails = [];
+    (content.home?.rails || []).forEach((rail, index) => {
+      const railArticles = (rail.items || []).map((id) => this.state.articlesById.get(id));
+      const html = this.renderRail(rail);
+      if (html) {
+        const key = `rail:${rail.id || index}:${hashString(signature([rail, railArticles]))}`;
+        rails.push(this.keyRegion(key, html));
+      }
+    });
+
+    const interval = Math.max(1, this.options.homeRailInterval);
+    for (let start = 0; start < tiles.length; start += interval) {
+      const segment = tiles.slice(start, start + interval);
+      const key = `bento:${start}:${hashString(signature(segment.map(({ entry, article }) => [entry, article])))}`;
+      regions.push(this.keyRegion(key, this.renderBento(segment, start === 0)));
+      if (rails.length > 0) {
+        regions.push(rails.shift());
+      }
+    }
+
+    // Right under the lead story
+    const all = [...regions, ...rails];
+    const continueRail = this.continueReadingRegion();
+    if (continueRail) {
+      all.splice(Math.min(1, all.length), 0, continueRail);
+    }
+    return all;
+  }
+
+  // Stories this device started but didn't finish, most recently read first
+  continueReadingRegion() {
+    const { hashString, signature } = BGM_ContentDiff;
+    const entries = this.readingProgress
+      .inProgress()
+      .map((entry) => ({ ...entry, article: this.state.articlesById.get(entry.id) }))
+      .filter((entry) => entry.article)
+      .slice(0, CONTINUE_READING_LIMIT);
+    if (entries.length === 0) {
+      return null;
+    }
+    const cards = entries
+      .map(({ article, progress }) => this.renderArticleCard(article, "card-standard", false, progress))
+      .join("");
+    const key = `continue:${hashString(signature(entries.map(({ article, progress }) => [article, Math.round(progress * 100)])))}`;
+    return this.keyRegion(key, `
+        <div class="rail-section continue-rail">
+            <div class="rail-header">
+                Continue reading
+            </div>
+            <div class="rail-container">
+                ${cards}
+            </div>
+        </div>
+      `);
+  }
+
+  // Feed entries with a live article, lowest priority number first; unprioritized entries keep their order at the end
+  homeFeedTiles() {
+    return (this.state.content?.home?.feed || [])
+      .map((entry, order) => ({ entry, order, article: this.state.articlesById.get(entry?.articleId) }))
+      .filter(({ article }) => article)
+      .sort((a, b) => (a.entry.priority ?? Infinity) - (b.entry.priority ?? Infinity) || a.order - b.order);
+  }
+
+  renderBento(tiles, leadsHome = false) {
+    return `
+      <div class="bento-grid">
+        ${tiles.map((tile, index) => this.renderBentoTile(tile, leadsHome && index === 0)).join("")}
+      </div>
+    `;
+  }
+
+  renderBentoTile({ entry, article }, isLead = false) {
+    const { colSpan, rowSpan, aspect } = bentoLayout(entry.layout);
+    const isLarge = colSpan > 1;
+    const heading = isLead ? "h2" : "h3";
+
+    // The media box reserves its aspect ratio before the image arrives; the lead tile
+    // loads eagerly and morphs into the article hero
+    return `
+      <a class="bento-tile${isLarge ? " is-large" : ""}" href="#${escapeHTML(article.id)}"
+        data-col-span="${colSpan}" data-row-span="${rowSpan}" style="--bento-aspect: ${aspect}">
+        <div class="bento-media">
+          ${BGM_Images.renderImage(article.hero?.image, {
+            sizes: bentoImageSizes(colSpan),
+            alt: "",
+            priority: isLead,
+            style: isLead ? `view-transition-name: hero-${article.id}` : ""
+          })}
+        </div>
+        <div class="bento-copy">
+          <span class="chip">${escapeHTML(article.kicker || "Story")}</span>
+          <${heading} class="bento-title">${escapeHTML(article.title)}</${heading}>
+          ${isLarge && article.dek ? `<p class="bento-dek">${escapeHTML(article.dek)}</p>` : ""}
+          ${article.readingMinutes ? `<span class="card-meta">${article.readingMinutes} min</span>` : ""}
+        </div>
+      </a>
+    `;
+  }
+
+  renderHero(featuredArticle) {
+    const transitionName = `hero-${featuredArticle.id}`;
+
+    return `
+      <div class="hero-section">
+        <a class="hero-frame" href="#${escapeHTML(featuredArticle.id)}" data-route-link="${escapeHTML(featuredArticle.id)}">
+            ${BGM_Images.renderImage(featuredArticle.hero?.image, {
+              className: "hero-media",
+              sizes: FULL_WIDTH_SIZES,
+              alt: "",
+              priority: true,
+              style: `view-transition-name: ${transitionName}`
+            })}
+            <div class="hero-overlay">
+                 <div class="chip-row">
+                    <span class="chip">${escapeHTML(featuredArticle.kicker || "Featured")}</span>
+                    ${featuredArticle.readingMinutes ? `<span class="chip">${featuredArticle.readingMinutes} min</span>` : ""}
+                 </div>
+                 <h2 style="font-size: 1.8rem; margin: 0; line-height: 1.1;">${escapeHTML(featuredArticle.title)}</h2>
+                 <p style="color: var(--text-muted); margin-top: 8px;">${escapeHTML(featuredArticle.dek)}</p>
+            </div>
+        </a>
+      </div>
+    `;
+  }
+
+  // Newest activity first: an edited story resurfaces at its update time
+  latestArticles() {
+    const timestamp = (article) => dateValue(article.updatedAt || article.publishedAt);
+    return [...(this.state.content?.articles || [])].sort(
+      (a, b) => timestamp(b) - timestamp(a) || a.id.localeCompare(b.id)
+    );
+  }
+
+  isUpdatedArticle(article) {
+    const published = Date.parse(article.publishedAt);
+    const updated = Date.parse(article.updatedAt);
+    return updated - published >= UPDATED_BADGE_MIN_MS;
+  }
+
+  dayLabel(isoValue) {
+    const day = localDayKey(isoValue);
+    const today = new Date();
+    if (day === localDayKey(today)) {
+      return "Today";
+    }
+    today.setDate(today.getDate() - 1);
+    return day === localDayKey(today) ? "Yesterday" : formatDate(isoValue);
+  }
+
+  renderLatest() {
+    this.latestLimit = this.options.latestPageSize;
+    const regionsHtml = this.latestRegions().map((region) => region.html).join("");
+
+    this.mount.innerHTML = `
+      <section class="latest-view">
+        <div class="latest-stream">
+          ${regionsHtml}
+        </div>
+        ${this.latestMoreRegion().html}
+      </section>
+    `;
+  }
+
+  // Day separators and story rows as one flat list of keyed regions, limited to the pages loaded so far
+  latestRegions() {
+    const { hashString, signature } = BGM_ContentDiff;
+    const regions = [];
+    let currentDay = null;
+    for (const article of this.latestArticles().slice(0, this.latestLimit)) {
+      const stamp = article.updatedAt || article.publishedAt;
+      const day = localDayKey(stamp);
+      if (day !== currentDay) {
+        currentDay = day;
+        const label = this.dayLabel(stamp);
+        regions.push(this.keyRegion(`day:${day}:${label}`, `
+          <h2 class="latest-day"><time datetime="${escapeHTML(day)}">${escapeHTML(label)}</time></h2>
+        `));
+      }
+      regions.push(this.keyRegion(`latest:${hashString(signature(article))}`, this.renderLatestItem(article)));
+    }
+    return regions;
+  }
+
+  renderLatestItem(article) {
+    const updated = this.isUpdatedArticle(article);
+    const stamp = updated ? article.updatedAt : article.publishedAt;
+
+    return `
+      <article class="latest-item">
+        <a class="latest-link" href="#${escapeHTML(article.id)}">
+          <div class="latest-meta">
+            <time datetime="${escapeHTML(stamp)}">${escapeHTML(formatTime(stamp))}</time>
+            ${updated ? '<span class="chip chip-updated">Updated</span>' : ""}
+          </div>
+          <div class="latest-copy">
+            <span class="latest-kicker">${escapeHTML(article.kicker || "Story")}</span>
+            <h3 class="latest-title">${escapeHTML(article.title)}</h3>
+            ${article.dek ? `<p class="latest-dek">${escapeHTML(article.dek)}</p>` : ""}
+          </div>
+          ${BGM_Images.renderImage(article.hero?.image, { className: "latest-thumb", sizes: "96px", alt: "" })}
+        </a>
+      </article>
+    `;
+  }
+
+  latestMoreRegion() {
+    const total = this.state.content?.articles?.length || 0;
+    const remaining = Math.max(0, total - this.latestLimit);
+    if (remaining === 0) {
+      return this.keyRegion("more:done", `<footer class="latest-more"></footer>`);
+    }
+    return this.keyRegion(`more:${remaining}`, `
+      <footer class="latest-more">
+        <button class="nav-pill" type="button" data-latest-more>Load more</button>
+        <span class="latest-remaining">${remaining} older ${remaining === 1 ? "story" : "stories"}</span>
+      </footer>
+    `);
+  }
+
+  loadMoreLatest() {
+    const stream = this.mount.querySelector(".latest-stream");
+    if (!stream) {
+      return;
+    }
+    const shown = stream.querySelectorAll(".latest-item").length;
+    this.latestLimit += this.options.latestPageSize;
+    this.patchLatest();
+    // Keyboard and screen reader users carry on from the first story just loaded
+    stream.querySelectorAll(".latest-item .latest-link")[shown]?.focus();
+  }
+
+  // Articles with something to watch: a hero video, a video-player widget, or a runtime
+  watchArticles() {
+    return (this.state.content?.articles || [])
+      .filter((article) => this.articleVideo(article) || article.duration)
+      .sort((a, b) => dateValue(b.publishedAt) - dateValue(a.publishedAt) || a.id.localeCompare(b.id));
+  }
+
+  // { src, poster } of the article's lead video, or null
+  articleVideo(article) {
+    if (article.hero?.video?.src) {
+      return { src: article.hero.video.src, poster: article.hero.video.poster || "" };
+    }
+    for (const widget of article.widgets || []) {
+      if (widget.type !== "video-player") {
+        continue;
+      }
+      const payload = widget.data || article.widget_data?.[widget.dataRef || ""];
+      if (payload?.src) {
+        return { src: payload.src, poster: payload.poster || "" };
+      }
+    }
+    return null;
+  }
+
+  renderWatch() {
+    const regions = this.watchRegions();
+    this.mount.innerHTML = `
+      <section class="watch-view">
+        ${regions.length === 0 ? '<p class="watch-empty">No videos yet.</p>' : ""}
+        <div class="watch-grid">
+          ${regions.map((region) => region.html).join("")}
+        </div>
+      </section>
+    `;
+  }
+
+  watchRegions() {
+    const { hashString, signature } = BGM_ContentDiff;
+    return this.watchArticles().map((article) =>
+      this.keyRegion(`watch:${hashString(signature(article))}`, this.renderWatchCard(article))
+    );
+  }
+
+  renderWatchCard(article) {
+    const video = this.articleVideo(article);
+    const poster = article.hero?.image?.src ? article.hero.image : video?.poster;
+    // Previews are always muted, controls-free and looping; platform URLs preview through their embed
+    const embed = video ? platformEmbed(video.src, { autoplay: true, muted: true, controls: false }) : null;
+    const preview = embed
+      ? `data-preview="${escapeHTML(embed.url)}" data-preview-kind="embed"`
+      : video ? `data-preview="${escapeHTML(video.src)}" data-preview-kind="video"` : "";
+
+    return `
+      <a class="watch-card" href="#${escapeHTML(article.id)}" ${preview}>
+        <div class="watch-media">
+          ${BGM_Images.renderImage(poster, { className: "watch-poster", sizes: WATCH_IMAGE_SIZES, alt: "" })}
+          ${article.duration ? `<span class="watch-duration">${escapeHTML(article.duration)}</span>` : ""}
+        </div>
+        <div class="card-content">
+          <h3 class="card-title">${escapeHTML(article.title)}</h3>
+          <div class="card-meta">
+            <span>${escapeHTML(article.kicker || "Video")}</span> • <span>${escapeHTML(formatDate(article.publishedAt))}</span>
+          </div>
+        </div>
+      </a>
+    `;
+  }
+
+  onWatchPreview(event) {
+    const card = event.target.closest?.(".watch-card");
+    if (event.type === "pointerout" || event.type === "focusout") {
+      if (card && !card.contains(event.relatedTarget)) {
+        this.stopWatchPreview();
+      }
+      return;
+    }
+    // A tap is about to navigate; there is nothing to preview
+    if (!card || event.pointerType === "touch" || this.watchPreview?.card === card) {
+      return;
+    }
+    this.stopWatchPreview();
+    if (!card.dataset.preview || window.matchMedia?.("(prefers-reduced-motion: reduce)").matches) {
+      return;
+    }
+    const timerId = window.setTimeout(() => this.startWatchPreview(card), this.options.watchPreviewDelayMs);
+    this.watchPreview = { card, timerId, media: null };
+  }
+
+  startWatchPreview(card) {
+    if (this.watchPreview?.card !== card || !card.isConnected) {
+      return;
+    }
+    const src = escapeHTML(card.dataset.preview);
+    const media = this.createRegionNode(card.dataset.previewKind === "embed"
+      ? `<iframe class="watch-preview" src="${src}" allow="autoplay; encrypted-media" tabindex="-1" aria-hidden="true" title=""></iframe>`
+      : `<video class="watch-preview" src="${src}" muted loop playsinline aria-hidden="true"></video>`);
+    card.querySelector(".watch-media").appendChild(media);
+    card.classList.add("is-previewing");
+    this.watchPreview.media = media;
+    if (media.tagName === "VIDEO") {
+      media.muted = true;
+      media.play().catch(() => {
+        // Nothing to do: the poster stays up
+      });
+    }
+  }
+
+  stopWatchPreview() {
+    if (!this.watchPreview) {
+      return;
+    }
+    const { card, timerId, media } = this.watchPreview;
+    window.clearTimeout(timerId);
+    if (media?.tagName === "VIDEO") {
+      media.pause();
+    }
+    media?.remove();
+    card.classList.remove("is-previewing");
+    this.watchPreview = null;
+  }
+
+  onHeatmapPointer(event) {
+    const cell = event.target.closest(".heatmap-cell");
+    if (event.type === "pointerout") {
+      const nextCell = event.relatedTarget?.closest?.(".heatmap-cell");
+      if (cell && !nextCell) {
+        this.hideHeatmapTooltip(cell.closest(".heatmap"));
+      }
+      return;
+    }
+    if (cell) {
+      this.showHeatmapTooltip(cell);
+    }
+  }
+
+  showHeatmapTooltip(cell) {
+    const heatmap = cell.closest(".heatmap");
+    const tooltip = heatmap?.querySelector(".heatmap-tooltip");
+    if (!tooltip) {
+      return;
+    }
+    const cellRect = cell.getBoundingClientRect();
+    const heatmapRect = heatmap.getBoundingClientRect();
+    tooltip.textContent = cell.dataset.label;
+    tooltip.style.left = `${cellRect.left - heatmapRect.left + cellRect.width / 2}px`;
+    tooltip.style.top = `${cellRect.top - heatmapRect.top}px`;
+    tooltip.hidden = false;
+  }
+
+  hideHeatmapTooltip(heatmap) {
+    const tooltip = heatmap?.querySelector(".heatmap-tooltip");
+    if (tooltip) {
+      tooltip.hidden = true;
+    }
+  }
+
+  renderSearch(query) {
+    this.mount.innerHTML = `
+      <section class="search-view">
+        <form class="search-form" role="search">
+          <input
+            class="search-input"
+            type="search"
+            name="q"
+            value="${escapeHTML(query)}"
+            placeholder="Search stories, tags, authors"
+            aria-label="Search stories"
+            autocomplete="off"
+            enterkeyhint="search"
+          >
+        </form>
+        <div class="search-results" aria-live="polite">
+          ${this.renderSearchResults(query)}
+        </div>
+      </section>
+    `;
+  }
+
+  renderSearchResults(query) {
+    if (!query.trim()) {
+      return `<p class="search-status">Search ${this.searchIndex.size} stories by title, topic, author or text.</p>`;
+    }
+    const results = this.searchIndex.search(query);
+    if (results.length === 0) {
+      return `<p class="search-status">No stories match “${escapeHTML(query)}”.</p>`;
+    }
+    // titleHtml and snippet come back escaped, with <mark> around matches
+    return results
+      .map(({ article, titleHtml, snippet }) => `
+        <a class="search-result" href="#${escapeHTML(article.id)}" data-route-link="${escapeHTML(article.id)}">
+          <span class="chip">${escapeHTML(article.kicker || "Story")}</span>
+          <h3 class="card-title">${titleHtml}</h3>
+          <p class="search-snippet">${snippet}</p>
+        </a>
+      `)
+      .join("");
+  }
+
+  updateSearchResults(query) {
+    const results = this.mount.querySelector(".search-results");
+    if (results) {
+      results.innerHTML = this.renderSearchResults(query);
+    }
+  }
+
+  // Typing refreshes results in place and rewrites the hash without a hashchange,
+  // so the input keeps focus
+  onSearchInput(event) {
+    const input = event.type === "submit" ? event.target.querySelector(".search-input") : event.target;
+    if (!input?.matches?.(".search-input")) {
+      return;
+    }
+    if (event.type === "submit") {
+      event.preventDefault();
+      input.blur();
+    }
+    window.clearTimeout(this.searchDebounceId);
+    this.searchDebounceId = window.setTimeout(() => {
+      const query = input.value;
+      const route = query.trim() ? `search?q=${encodeURIComponent(query)}` : "search";
+      this.state.currentRoute = route;
+      this.state.currentMatch = this.resolveRoute(route);
+      // Resolved against the page itself: prerendered pages set a <base href>
+      window.history.replaceState(null, "", new URL(`#${route}`, window.location.href));
+      this.applyRouteHead(this.state.currentMatch);
+      this.updateSearchResults(query);
+    }, event.type === "submit" ? 0 : 150);
+  }
+
+  renderRail(railConfig) {
+    const items = railConfig.items || [];
+    const articles = items.map(id => this.state.articlesById.get(id)).filter(Boolean);
+
+    const cardTypeClass = railConfig.type === "videos" ? "card-video" :
+      railConfig.type === "clips" ? "card-poster" : "card-standard";
+
+    // Off-site clips (e.g. reels) and live-data widgets ride in rails without an article behind them
+    const externalHtml = (railConfig.external || []).map(item => `
+            <a class="rail-card ${cardTypeClass}" href="${escapeHTML(item.href)}" target="_blank" rel="noopener">
+                ${BGM_Images.renderImage(item.image, { className: "card-media", sizes: CARD_IMAGE_SIZES[cardTypeClass], alt: "" })}
+                <div class="card-content">
+                    <h3 class="card-title">${escapeHTML(item.title)}</h3>
+                </div>
+            </a>
+          `).join("");
+
+    const widgetsHtml = (railConfig.widgets || [])
+      .map(widget => this.renderWidgetSlot(widget, widget.data || {}, "rail-card card-standard"))
+      .join("");
+
+    if (articles.length === 0 && !externalHtml && !widgetsHtml) return "";
+
+    const cardsHtml = articles
+      .map(article => this.renderArticleCard(article, cardTypeClass, railConfig.type === "videos"))
+      .join("");
+
+    return `
+        <div class="rail-section">
+            <div class="rail-header">
+                ${escapeHTML(railConfig.title)}
+            </div>
+            <div class="rail-container">
+                ${cardsHtml}
+                ${externalHtml}
+                ${widgetsHtml}
+            </div>
+        </div>
+      `;
+  }
+
+  // `progress` (0-1) marks a story the reader has started, for the "Continue reading" rail
+  renderArticleCard(article, cardTypeClass = "card-standard", showDuration = false, progress = null) {
+    const meta = progress !== null
+      ? `${Math.round(progress * 100)}% read`
+      : showDuration && article.duration ? article.duration : article.readingMinutes ? `${article.readingMinutes} min` : "";
+    // The save toggle sits beside the link, since buttons can't nest inside one
+    return `
+          <div class="card-shell">
+            <a class="rail-card ${cardTypeClass}" href="#${escapeHTML(article.id)}" data-route-link="${escapeHTML(article.id)}">
+                ${BGM_Images.renderImage(article.hero?.image, { className: "card-media", sizes: CARD_IMAGE_SIZES[cardTypeClass], alt: "" })}
+                ${progress !== null ? `<span class="card-progress" style="--progress: ${progress.toFixed(2)}" aria-hidden="true"></span>` : ""}
+                <div class="card-content">
+                    <h3 class="card-title">${escapeHTML(article.title)}</h3>
+                    <div class="card-meta">
+                        <span>${escapeHTML(article.kicker || "Story")}</span>
+                        ${meta ? `• <span>${escapeHTML(meta)}</span>` : ""}
+                    </div>
+                </div>
+            </a>
+            ${this.renderSaveToggle(article, { compact: true })}
+          </div>
+          `;
+  }
+
+  // Newest first; tag and author names match case-insensitively
+  articlesWhere(field, value) {
+    const needle = String(value).toLowerCase();
+    return (this.state.content?.articles || [])
+      .filter((article) => (article[field] || []).some((entry) => String(entry).toLowerCase() === needle))
+      .sort((a, b) => dateValue(b.publishedAt) - dateValue(a.publishedAt));
+  }
+
+  // The tag or author as spelled in the content, whatever casing the hash used
+  listingLabel(field, value) {
+    const needle = String(value).toLowerCase();
+    const [article] = this.articlesWhere(field, value);
+    return article?.[field].find((entry) => String(entry).toLowerCase() === needle) || value;
+  }
+
+  renderListing(field, value) {
+    const articles = this.articlesWhere(field, value);
+    const label = this.listingLabel(field, value);
+
+    this.mount.innerHTML = `
+      <section class="listing-view">
+        <header class="listing-header">
+          <span class="chip">${field === "tags" ? "Topic" : "Author"}</span>
+          <h2 class="listing-title">${escapeHTML(label)}</h2>
+          <p class="listing-count">${articles.length} ${articles.length === 1 ? "story" : "stories"}</p>
+        </header>
+        <div class="listing-grid">
+          ${articles.map((article) => this.renderArticleCard(article)).join("")}
+        </div>
+      </section>
+    `;
+    this.resetScroll();
+  }
+
+  // Saved stories that still resolve, most recently saved first
+  savedArticles() {
+    return this.savedStories
+      .list()
+      .map((entry) => this.state.articlesById.get(entry.id))
+      .filter(Boolean);
+  }
+
+  renderSaved() {
+    this.mount.innerHTML = `
+      <section class="listing-view saved-view">
+        <header class="listing-header">
+          <span class="chip">Offline</span>
+          <h2 class="listing-title">Saved stories</h2>
+          <p class="listing-count"></p>
+        </header>
+        <div class="listing-grid"></div>
+      </section>
+    `;
+    this.patchSaved();
+    this.resetScroll();
+  }
+
+  // Cards are keyed by what they show, so saving or unsaving one leaves the rest in place
+  patchSaved() {
+    const view = this.mount.querySelector(".saved-view");
+    if (!view) {
+      return false;
+    }
+    const { hashString, signature } = BGM_ContentDiff;
+    const articles = this.savedArticles();
+    view.querySelector(".listing-count").textContent = articles.length > 0
+      ? `${articles.length} ${articles.length === 1 ? "story" : "stories"}, readable offline`
+      : "Nothing saved yet. Save a story from its header or card to read it here, even offline.";
+    this.reconcileRegions(
+      view.querySelector(".listing-grid"),
+      articles.map((article) => this.keyRegion(
+        `saved:${hashString(signature([article.id, article.title, article.kicker, article.readingMinutes, article.hero?.image]))}`,
+        this.renderArticleCard(article)
+      ))
+    );
+    return true;
+  }
+
+  renderNotFound(path) {
+    this.mount.innerHTML = `
+      <section class="listing-view not-found-view">
+        <header class="listing-header">
+          <span class="chip">404</span>
+          <h2 class="listing-title">Nothing lives here</h2>
+          <p class="listing-count">No story or page matches <code>#${escapeHTML(path)}</code>. It may have moved or been unpublished.</p>
+        </header>
+        <button class="nav-pill is-active" data-route-link="home">Back to Home</button>
+      </section>
+    `;
+    this.resetScroll();
+  }
+
+  // New views open at the top; a mount outside .route-shell has nothing to scroll
+  resetScroll() {
+    if (this.scroller) {
+      this.scroller.scrollTop = 0;
+    }
+  }
+
+  renderArticle(id, anchor = "") {
+    const article = this.state.articlesById.get(id);
+    if (!article) {
+      this.renderNotFound(id);
+      return;
+    }
+
+    const { hero, header, blocks } = this.articleRegions(article);
+    // A content refresh that can't patch in place still keeps the reader's place
+    const isRefresh = this.readingArticleId === id && !anchor && this.scroller;
+    const scrollTop = this.scroller?.scrollTop ?? 0;
+
+    this.mount.innerHTML = `
+      <article class="article-shell">
+        ${hero.html}
+        ${header.html}
+        <div class="article-body">
+            ${blocks.map((block) => block.html).join("")}
+        </div>
+      </article>
+    `;
+
+    if (isRefresh) {
+      this.scroller.scrollTop = scrollTop;
+    } else {
+      this.scrollToAnchor(anchor);
+    }
+    this.beginReading(id, { offerResume: !anchor });
+  }
+
+  // Only in preview mode (publishing.js marks the stories readers can't see yet)
+  renderPreviewBanner(article) {
+    if (article.previewState === "draft") {
+      return '<p class="preview-banner" role="note"><strong>Draft</strong> Not published; visible in preview only.</p>';
+    }
+    if (article.previewState === "scheduled") {
+      return `<p class="preview-banner" role="note"><strong>Scheduled</strong> Goes live ${escapeHTML(formatDate(article.publishedAt))} at ${escapeHTML(formatTime(article.publishedAt))}; visible in preview only.</p>`;
+    }
+    return "";
+  }
+
+  // Scrolls to the deep-linked block (or footnote), else the top of the view
+  scrollToAnchor(anchor = "") {
+    const target = anchor
+      ? [...this.mount.querySelectorAll("[data-anchor]")].find((node) => node.dataset.anchor === slugify(anchor))
+      : null;
+    if (target) {
+      target.scrollIntoView({ block: "start" });
+    } else {
+      this.resetScroll();
+    }
+    return true;
+  }
+
+  articleRegions(article) {
+    const { hashString, signature } = BGM_ContentDiff;
+    const widgetsById = new Map((article.widgets || []).map((widget) => [widget.id, widget]));
+    const transitionName = `hero-${article.id}`;
+
+    // Same sizes as the home hero, so the morph lands on the candidate the browser already has
+    const hero = this.keyRegion(`hero:${hashString(signature([article.hero, article.title]))}`, `
+        <div class="article-hero">
+            ${BGM_Images.renderImage(article.hero?.image, {
+              className: "hero-media",
+              sizes: FULL_WIDTH_SIZES,
+              alt: article.title,
+              priority: true,
+              style: `view-transition-name: ${transitionName}`
+            })}
+        </div>
+    `);
+
+    const headerFields = [article.kicker, article.publishedAt, article.title, article.dek, article.authors, article.tags, article.previewState];
+    const bylineHtml = (article.authors || [])
+      .map((name) => `<a class="byline-link" href="#author/${encodeURIComponent(name)}">${escapeHTML(name)}</a>`)
+      .join(", ");
+    const tagsHtml = (article.tags || [])
+      .map((tag) => `<a class="chip chip-link" href="#tag/${encodeURIComponent(tag)}">${escapeHTML(tag)}</a>`)
+      .join("");
+    const header = this.keyRegion(`header:${hashString(signature(headerFields))}`, `
+        <div class="article-header">
+             ${this.renderPreviewBanner(article)}
+             <div class="chip-row">
+                <span class="chip">${escapeHTML(article.kicker || "Featured")}</span>
+                <span class="chip">${formatDate(article.publishedAt)}</span>
+                ${this.renderSaveToggle(article)}
+             </div>
+             <h1 class="article-title">${escapeHTML(article.title)}</h1>
+             <p class="article-dek">${escapeHTML(article.dek || "")}</p>
+             ${bylineHtml ? `<p class="article-byline">By ${bylineHtml}</p>` : ""}
+             ${tagsHtml ? `<div class="chip-row article-tags">${tagsHtml}</div>` : ""}
+        </div>
+    `);
+
+    // Blocks are keyed by what they render from, so an edit only replaces that block
+    const footnotes = footnoteNumbers(article);
+    const blocks = (article.blocks || [])
+      .map((block) => {
+        const widget = block.type === "widget" ? widgetsById.get(block.widgetRef) : null;
+        const payload = widget ? widget.data || article.widget_data?.[widget.dataRef || ""] : null;
+        const html = this.renderBlock(block, widget, payload, article);
+        if (!html) {
+          return null;
+        }
+        const anchor = blockAnchor(block);
+        // Footnote references render their note's number, which moves when notes are reordered
+        const notes = JSON.stringify(block).match(FOOTNOTE_MARKER) ? [...footnotes] : null;
+        // Widgets keep their slot when only their data changes; observeWidgets passes it to the plugin's update
+        const key = widget
+          ? `widget:${hashString(signature([block, widget.id, widget.type]))}`
+          : `block:${hashString(signature([block, widget, payload, notes]))}`;
+        return this.keyRegion(key, anchor ? withAttribute(html, "data-anchor", anchor) : html);
+      })
+      .filter(Boolean);
+
+    return { hero, header, blocks };
   }
 
-  stop() {
-    if (!this.timerId) {
-      return;
+  renderBlock(block, widget, widgetPayload, article = null) {
+    const renderer = this.blockRegistry.get(block.type);
+    if (!renderer) {
+      return this.renderUnknownBlock(block);
     }
-    window.clearInterval(this.timerId);
-    this.timerId = null;
+    return renderer(block, { article, widget, payload: widgetPayload });
   }
-}
-
-class BGM_Core {
-  constructor(options = {}) {
-    this.options = { ...DEFAULT_OPTIONS, ...options };
-    this.mount = document.querySelector(this.options.mountSelector);
-    this.nav = document.querySelector("#bottom-nav");
-    this.routeTitle = document.querySelector("#route-title");
 
-    if (!this.mount || !this.nav || !this.routeTitle) {
-      throw new Error("BGM_Core mount points are missing in index.html");
+  // Readers never see a block nothing can render; editors previewing in devMode do
+  renderUnknownBlock(block) {
+    if (!this.options.devMode) {
+      return "";
     }
+    return `
+      <div class="block-unknown" role="note">
+        No renderer for block type <code>${escapeHTML(block.type)}</code>; it is hidden outside devMode.
+      </div>
+    `;
+  }
 
-    this.store = new ObservableContentStore(this.options.contentUrl, this.options.pollIntervalMs);
-    this.state = {
-      content: null,
-      articlesById: new Map(),
-      currentRoute: "home",
-      isNavigating: false
-    };
-
-    this.router = {
-      home: () => this.renderHome(),
-      latest: () => this.renderHome(),
-      watch: () => this.renderHome(), // Alias for now
-      article: (id) => this.renderArticle(id)
-    };
+  // Escaped text with "[^id]" markers turned into links to the article's footnotes
+  inlineText(text, article) {
+    const escaped = escapeHTML(text);
+    const numbers = footnoteNumbers(article);
+    if (numbers.size === 0) {
+      return escaped;
+    }
+    return escaped.replace(FOOTNOTE_MARKER, (marker, id) => {
+      const number = numbers.get(id);
+      if (!number) {
+        return marker;
+      }
+      const base = `#article/${encodeURIComponent(article.id)}`;
+      return `<sup class="footnote-ref" data-anchor="fnref-${slugify(id)}"><a href="${base}/fn-${slugify(id)}" aria-label="Footnote ${number}">${number}</a></sup>`;
+    });
+  }
 
-    this.widgetRegistry = new Map([
-      ["sparkline", (data) => this.renderSparklineWidget(data)],
-      ["heat", (data) => this.renderHeatWidget(data)]
-    ]);
+  renderHeadingBlock(block) {
+    const level = Math.min(Math.max(Number(block.level) || 2, 2), 4);
+    return `<h${level}>${escapeHTML(block.text)}</h${level}>`;
+  }
 
-    this.unsubscribeStore = this.store.subscribe((content) => this.onContentUpdate(content));
-    this.nav.addEventListener("click", (event) => this.onNavClick(event));
-    this.mount.addEventListener("click", (event) => this.onMountClick(event));
-    window.addEventListener("hashchange", () => this.handleRouteChange());
+  renderImageBlock(block) {
+    return `
+      <figure class="widget-slot" style="padding:0; overflow:hidden; border:none;">
+        ${BGM_Images.renderImage(block, { className: "block-image", sizes: FULL_WIDTH_SIZES })}
+        ${block.caption ? `<figcaption class="widget-title" style="padding:12px;">${escapeHTML(block.caption)}</figcaption>` : ""}
+      </figure>
+    `;
   }
 
-  async init() {
-    await this.store.load({ force: true });
-    this.store.start();
-    this.handleRouteChange();
+  renderQuoteBlock(block) {
+    return `
+      <blockquote class="pull-quote">
+        <p>${escapeHTML(block.text)}</p>
+        ${block.cite ? `<footer class="pull-quote-cite">${escapeHTML(block.cite)}</footer>` : ""}
+      </blockquote>
+    `;
   }
 
-  onContentUpdate(content) {
-    this.state.content = content;
-    this.state.articlesById = new Map((content.articles || []).map((article) => [article.id, article]));
-    this.renderNavigation();
-    if (!this.state.isNavigating) {
-      // Re-render current route if we aren't mid-transition
-      this.renderRoute(this.state.currentRoute);
-    }
+  renderListBlock(block, article) {
+    const tag = block.style === "ordered" ? "ol" : "ul";
+    const items = (block.items || []).map((item) => `<li>${this.inlineText(item, article)}</li>`).join("");
+    return `<${tag} class="block-list">${items}</${tag}>`;
   }
 
-  parseHashRoute() {
-    const value = window.location.hash.replace(/^#/, "").trim();
-    return value || this.state.content?.meta?.defaultRoute || "home";
+  // tone: "info" (default), "fact" or "warning"; body is `text`, `items` or both
+  renderCalloutBlock(block, article) {
+    const tone = ["info", "fact", "warning"].includes(block.tone) ? block.tone : "info";
+    const items = (block.items || []).map((item) => `<li>${this.inlineText(item, article)}</li>`).join("");
+    return `
+      <aside class="callout callout-${tone}" role="note">
+        ${block.title ? `<h3 class="callout-title">${escapeHTML(block.title)}</h3>` : ""}
+        ${block.text ? `<p>${this.inlineText(block.text, article)}</p>` : ""}
+        ${items ? `<ul>${items}</ul>` : ""}
+      </aside>
+    `;
   }
 
-  normalizeRoute(routeCandidate) {
-    if (["home", "latest", "watch"].includes(routeCandidate)) {
-      return routeCandidate;
+  // A scroll-snap track swipes natively; the buttons step it for pointer and keyboard users
+  renderGalleryBlock(block) {
+    const images = (block.images || []).filter((image) => image?.src);
+    if (images.length === 0) {
+      return "";
     }
-    if (this.state.articlesById.has(routeCandidate)) {
-      return routeCandidate;
-    }
-    return "home";
+    const slides = images
+      .map((image, index) => `
+        <div class="gallery-slide" role="group" aria-label="${index + 1} of ${images.length}">
+          ${BGM_Images.renderImage(image, { sizes: FULL_WIDTH_SIZES })}
+          ${image.caption ? `<p class="gallery-caption">${escapeHTML(image.caption)}</p>` : ""}
+        </div>
+      `)
+      .join("");
+    const controls = images.length > 1
+      ? `
+        <div class="gallery-controls">
+          <button class="gallery-step" type="button" data-gallery-step="-1" aria-label="Previous image">‹</button>
+          <span class="gallery-count" aria-live="polite">1 / ${images.length}</span>
+          <button class="gallery-step" type="button" data-gallery-step="1" aria-label="Next image">›</button>
+        </div>
+      `
+      : "";
+    return `
+      <figure class="block-gallery">
+        <div class="gallery-track" tabindex="0" aria-label="${escapeHTML(block.caption || "Gallery")}">
+          ${slides}
+        </div>
+        ${controls}
+        ${block.caption ? `<figcaption class="widget-title">${escapeHTML(block.caption)}</figcaption>` : ""}
+      </figure>
+    `;
   }
 
-  navigate(route) {
-    const normalizedRoute = this.normalizeRoute(route);
-    const targetHash = `#${normalizedRoute}`;
-    if (window.location.hash !== targetHash) {
-      window.location.hash = targetHash;
+  stepGallery(gallery, direction) {
+    const track = gallery?.querySelector(".gallery-track");
+    if (!track) {
       return;
     }
-    this.renderRoute(normalizedRoute);
+    const reduceMotion = window.matchMedia?.("(prefers-reduced-motion: reduce)").matches;
+    track.scrollBy({ left: direction * track.clientWidth, behavior: reduceMotion ? "auto" : "smooth" });
   }
 
-  handleRouteChange() {
-    const requestedRoute = this.parseHashRoute();
-    const normalizedRoute = this.normalizeRoute(requestedRoute);
-    if (normalizedRoute !== requestedRoute) {
-      this.navigate(normalizedRoute);
+  onGalleryScroll(event) {
+    const track = event.target;
+    if (!track.classList?.contains("gallery-track")) {
       return;
     }
-    this.renderRoute(normalizedRoute);
+    const count = track.closest(".block-gallery").querySelector(".gallery-count");
+    if (count) {
+      const total = track.children.length;
+      const index = Math.min(total, Math.round(track.scrollLeft / Math.max(track.clientWidth, 1)) + 1);
+      count.textContent = `${index} / ${total}`;
+    }
   }
 
-  onNavClick(event) {
-    const button = event.target.closest("[data-route]");
-    if (!button) {
-      return;
+  // Same player as the video-player widget, inline and with a caption
+  renderVideoBlock(block) {
+    if (!block.src) {
+      return "";
     }
-    const route = button.getAttribute("data-route") || "home";
-    this.navigate(route);
+    const player = this.renderVideoPlayerWidget({
+      src: block.src,
+      poster: block.poster,
+      captions: block.captions,
+      label: "",
+      muted: false,
+      preload: "metadata"
+    });
+    return `
+      <figure class="block-video">
+        ${player}
+        ${block.caption ? `<figcaption class="widget-title">${escapeHTML(block.caption)}</figcaption>` : ""}
+      </figure>
+    `;
   }
 
-  onMountClick(event) {
-    const target = event.target.closest("[data-route-link]");
-    if (!target) {
-      return;
+  renderFootnotesBlock(block, article) {
+    const numbers = footnoteNumbers(article);
+    const base = article ? `#article/${encodeURIComponent(article.id)}` : "";
+    const items = (block.items || [])
+      .filter((note) => note?.id && numbers.has(note.id))
+      .map((note) => {
+        const slug = slugify(note.id);
+        const backLink = base
+          ? ` <a class="footnote-back" href="${base}/fnref-${slug}" aria-label="Back to reference ${numbers.get(note.id)}">↩</a>`
+          : "";
+        return `<li value="${numbers.get(note.id)}" data-anchor="fn-${slug}">${escapeHTML(note.text)}${backLink}</li>`;
+      })
+      .join("");
+    if (!items) {
+      return "";
     }
-    const route = target.getAttribute("data-route-link");
-    if (route) {
-      this.navigate(route);
+    return `
+      <section class="footnotes" aria-label="Footnotes">
+        <ol>${items}</ol>
+      </section>
+    `;
+  }
+
+  // A widget's HTML on its own (spec.md §4 renderWidget): no mount hooks and no live source.
+  // Slots in a view go through mountWidget instead
+  renderWidget(type, data) {
+    const plugin = this.widgetRegistry.get(type);
+    const issues = plugin ? this.widgetDataIssues(type, data) : [];
+    if (!plugin || issues.length > 0) {
+      return this.renderWidgetFallback(type, data, issues);
     }
+    return plugin.render(data, { type, core: this, signal: new AbortController().signal });
   }
 
-  renderNavigation() {
-    const navItems = this.state.content?.navigation?.primary || [];
-    this.nav.innerHTML = navItems
-      .map(
-        (item) => `
-        <button class="nav-pill" data-route="${escapeHTML(item.id)}">
-          ${escapeHTML(item.label)}
-        </button>
-      `
-      )
-      .join("");
-    this.paintActiveNav(this.state.currentRoute);
+  // Unknown types, data failing the plugin's schema, and plugins that throw; devMode lists the schema errors
+  renderWidgetFallback(type, payload, issues = []) {
+    const title = this.widgetRegistry.has(type) ? escapeHTML(payload?.label || type) : `Unsupported: ${escapeHTML(type)}`;
+    const details = this.options.devMode && issues.length > 0
+      ? `<ul class="widget-issues">${issues
+        .map((issue) => `<li><code>${escapeHTML(issue.path)}</code> ${escapeHTML(issue.message)}</li>`)
+        .join("")}</ul>`
+      : "";
+    return `
+      <span class="widget-title">${title}</span>
+      <span class="widget-placeholder"></span>
+      ${details}
+    `;
   }
 
-  renderRoute(route) {
-    if (!this.state.content) return;
+  renderSparklineWidget(data) {
+    const series = sparklineSeries(data.points);
+    if (series.length === 0) {
+      series.push({ value: 0, at: null }, { value: 0, at: null });
+    }
+    const label = data.label || "Sparkline";
+    const values = series.map((point) => point.value);
+    const scale = niceScale(Math.min(...values), Math.max(...values), 2);
+    const position = (index) => ({
+      x: (index / Math.max(series.length - 1, 1)) * 100,
+      y: 100 - ((series[index].value - scale.min) / (scale.max - scale.min)) * 100
+    });
+    const polyline = series
+      .map((_, index) => {
+        const { x, y } = position(index);
+        return `${x.toFixed(2)},${y.toFixed(2)}`;
+      })
+      .join(" ");
 
-    // Prevent redundant rendering if simply validating hash
-    // (though in this simple router, re-rendering is safe/idempotent)
+    // Markers are HTML over the SVG so the stretched viewBox can't squash them into ellipses
+    const maxIndex = values.indexOf(Math.max(...values));
+    const minIndex = values.indexOf(Math.min(...values));
+    const marker = (index, kind, caption) => {
+      const { x, y } = position(index);
+      return `
+        <span class="sparkline-marker is-${kind}" style="--x:${x.toFixed(2)}%; --y:${y.toFixed(2)}%">
+          <span class="sparkline-note">${escapeHTML(caption)} ${escapeHTML(this.sparklineValue(values[index], data.unit))}</span>
+        </span>
+      `;
+    };
 
-    this.state.currentRoute = route;
-    this.paintActiveNav(route);
-    this.options.onRouteChange(route);
+    const xLabels = this.sparklineXLabels(series);
+    const axisLabels = xLabels.every(Boolean)
+      ? [...new Set([0, Math.floor((series.length - 1) / 2), series.length - 1])]
+        .map((index) => `<span style="--x:${position(index).x.toFixed(2)}%">${escapeHTML(xLabels[index])}</span>`)
+        .join("")
+      : "";
+    const latest = this.sparklineReading(data, series, series.length - 1);
 
-    const routeRenderer = () => {
-      if (["home", "latest", "watch"].includes(route)) {
-        this.routeTitle.textContent = "Editorial Theater";
-        this.renderHome(route);
-      } else {
-        const article = this.state.articlesById.get(route);
-        this.routeTitle.textContent = article?.kicker || "Featured";
-        this.renderArticle(route);
-      }
-    };
+    /* @ANTIGRAVITY_INJECT: [SPARKLINE_SVG_PATH_DRAW] */
+    return `
+      <span class="widget-title">${escapeHTML(label)}</span>
+      <div class="sparkline" style="--sparkline-color:${escapeHTML(data.color || "#D4AF37")}">
+        <p class="sparkline-readout" aria-live="polite">
+          <span class="sparkline-value">${escapeHTML(latest.value)}</span>
+          <span class="sparkline-change ${this.sparklineTrend(series)}">${escapeHTML(latest.detail)}</span>
+        </p>
+        <div class="sparkline-chart">
+          <div class="sparkline-axis-y" aria-hidden="true">
+            <span>${escapeHTML(formatNumber(scale.max))}</span>
+            <span>${escapeHTML(formatNumber(scale.min))}</span>
+          </div>
+          <div
+            class="sparkline-plot"
+            tabindex="0"
+            role="slider"
+            aria-label="${escapeHTML(label)}"
+            aria-valuemin="0"
+            aria-valuemax="${series.length - 1}"
+            aria-valuenow="${series.length - 1}"
+            aria-valuetext="${escapeHTML(`${xLabels.at(-1) || `Point ${series.length} of ${series.length}`}: ${latest.value}`)}"
+          >
+            <svg viewBox="0 0 100 100" preserveAspectRatio="none" aria-hidden="true">
+              <polyline
+                fill="none"
+                stroke="currentColor"
+                stroke-width="2"
+                vector-effect="non-scaling-stroke"
+                pathLength="1"
+                points="${polyline}"
+              ></polyline>
+            </svg>
+            ${marker(maxIndex, "max", "High")}
+            ${minIndex === maxIndex ? "" : marker(minIndex, "min", "Low")}
+            <span class="sparkline-cursor" aria-hidden="true" hidden></span>
+          </div>
+        </div>
+        ${axisLabels ? `<div class="sparkline-axis-x" aria-hidden="true">${axisLabels}</div>` : ""}
+      </div>
+      ${dataTable(
+        label,
+        [xLabels.every(Boolean) ? "Date" : "Point", data.unit ? `Value (${data.unit})` : "Value"],
+        series.map((point, index) => [xLabels[index] || String(index + 1), formatNumber(point.value)])
+      )}
+    `;
+  }
 
-    const commitDOM = () =>
-      new Promise((resolve) => {
-        window.requestAnimationFrame(() => {
-          routeRenderer();
-          resolve();
-        });
-      });
+  sparklineValue(value, unit) {
+    return `${formatNumber(value)}${unit ? ` ${unit}` : ""}`;
+  }
 
-    this.state.isNavigating = true;
-    if (this.options.enableViewTransitions && "startViewTransition" in document) {
-      /* @ANTIGRAVITY_INJECT: [MORPHING_HERO_IMAGE_TRANSITION] */
-      document
-        .startViewTransition(() => commitDOM())
-        .finished.finally(() => {
-          this.state.isNavigating = false;
-        });
-    } else {
-      commitDOM().finally(() => {
-        this.state.isNavigating = false;
-      });
+  // Date labels for timestamped points; "" for plain numbers
+  sparklineXLabels(series) {
+    const times = series.map((point) => new Date(point.at).getTime()).filter(Number.isFinite);
+    const spanMs = times.length > 1 ? Math.max(...times) - Math.min(...times) : 0;
+    return series.map((point) => (point.at ? formatAxisDate(point.at, spanMs) : ""));
+  }
+
+  sparklineTrend(series) {
+    const change = series.at(-1).value - series[0].value;
+    if (change === 0) {
+      return "is-flat";
     }
+    return change > 0 ? "is-up" : "is-down";
   }
 
-  paintActiveNav(route) {
-    // Map specific article routes back to 'home' or 'latest' if needed, though for now simple matching
-    // For this UI, article view might not highlight any bottom nav, which is fine
-    const activeRoute = ["home", "latest", "watch"].includes(route) ? route : null;
-    for (const button of this.nav.querySelectorAll(".nav-pill")) {
-      const isActive = button.getAttribute("data-route") === activeRoute;
-      button.classList.toggle("is-active", isActive);
+  // Readout text: the latest point shows its change since the first, any other point its label
+  sparklineReading(data, series, index) {
+    const value = this.sparklineValue(series[index].value, data.unit);
+    const xLabels = this.sparklineXLabels(series);
+    if (index < series.length - 1) {
+      return { value, detail: xLabels[index] || `Point ${index + 1} of ${series.length}` };
     }
+    const first = series[0].value;
+    const change = series[index].value - first;
+    const sign = change > 0 ? "+" : change < 0 ? "−" : "±";
+    const percent = first !== 0 ? ` (${sign}${formatNumber(Math.abs((change / first) * 100).toFixed(1))}%)` : "";
+    const since = xLabels[0];
+    return {
+      value,
+      detail: `${sign}${this.sparklineValue(Math.abs(change), data.unit)}${percent} ${since ? `since ${since}` : "overall"}`
+    };
   }
 
-  renderHome(route = "home") {
-    const content = this.state.content || {};
-    const featuredIds = content.home?.featured || [];
-
-    // Pick featured article
-    const featuredId = featuredIds[0];
-    const featuredArticle = this.state.articlesById.get(featuredId);
-
-    // Build Hero
-    let heroHtml = "";
-    if (featuredArticle) {
-      const transitionName = `hero-${featuredArticle.id}`;
-      const heroSrc = featuredArticle.hero?.image?.src || "";
-
-      heroHtml = `
-          <div class="hero-section">
-            <div class="hero-frame" data-route-link="${escapeHTML(featuredArticle.id)}">
-                <img
-                    class="hero-media"
-                    src="${escapeHTML(heroSrc)}"
-                    alt="${escapeHTML(featuredArticle.title)}"
-                    style="view-transition-name: ${transitionName}"
-                >
-                <div class="hero-overlay">
-                     <div class="chip-row">
-                        <span class="chip">${escapeHTML(featuredArticle.kicker || "Featured")}</span>
-                        <span class="chip">${featuredArticle.readingMinutes} min</span>
-                     </div>
-                     <h2 style="font-size: 1.8rem; margin: 0; line-height: 1.1;">${escapeHTML(featuredArticle.title)}</h2>
-                     <p style="color: var(--text-muted); margin-top: 8px;">${escapeHTML(featuredArticle.dek)}</p>
-                </div>
-            </div>
-          </div>
-        `;
+  // Pointer, touch and arrow keys move a cursor along the line; the readout (a live region) follows it
+  bindSparklineScrub(element, data, signal) {
+    const plot = element.querySelector(".sparkline-plot");
+    const series = sparklineSeries(data.points);
+    if (!plot || series.length === 0) {
+      return;
     }
+    const readout = element.querySelector(".sparkline-readout");
+    const cursor = plot.querySelector(".sparkline-cursor");
+    const polyline = plot.querySelector("polyline").getAttribute("points").split(" ");
+    const xLabels = this.sparklineXLabels(series);
+    const last = series.length - 1;
+    let current = last;
 
-    // Build Rails
-    const railsConfig = content.home?.rails || [];
-    const railsHtml = railsConfig.map(rail => this.renderRail(rail)).join("");
+    const show = (index, scrubbing) => {
+      if (index === current && scrubbing === !cursor.hidden) {
+        return;
+      }
+      current = index;
+      const reading = this.sparklineReading(data, series, index);
+      readout.querySelector(".sparkline-value").textContent = reading.value;
+      readout.querySelector(".sparkline-change").textContent = reading.detail;
+      readout.classList.toggle("is-scrubbing", scrubbing);
+      const [x, y] = polyline[index].split(",");
+      cursor.style.setProperty("--x", `${x}%`);
+      cursor.style.setProperty("--y", `${y}%`);
+      cursor.hidden = !scrubbing;
+      plot.setAttribute("aria-valuenow", String(index));
+      plot.setAttribute("aria-valuetext", `${xLabels[index] || `Point ${index + 1} of ${series.length}`}: ${reading.value}`);
+    };
+    const scrub = (event) => {
+      const rect = plot.getBoundingClientRect();
+      const fraction = rect.width > 0 ? (event.clientX - rect.left) / rect.width : 1;
+      show(Math.round(Math.min(Math.max(fraction, 0), 1) * last), true);
+    };
 
-    this.mount.innerHTML = `
-      <section class="home-grid">
-        ${heroHtml}
-        ${railsHtml}
-      </section>
-    `;
+    plot.addEventListener("pointerdown", (event) => {
+      // Keeps a finger drag on the chart even when it strays off the line
+      plot.setPointerCapture?.(event.pointerId);
+      scrub(event);
+    }, { signal });
+    plot.addEventListener("pointermove", scrub, { signal });
+    // A lifted finger leaves its reading up; the mouse snaps back to the latest value
+    plot.addEventListener("pointerleave", (event) => {
+      if (event.pointerType === "mouse") {
+        show(last, false);
+      }
+    }, { signal });
+    plot.addEventListener("blur", () => show(last, false), { signal });
+    plot.addEventListener("keydown", (event) => {
+      const steps = { ArrowLeft: -1, ArrowDown: -1, ArrowRight: 1, ArrowUp: 1 };
+      let index = null;
+      if (event.key in steps) {
+        index = Math.min(Math.max((cursor.hidden ? last : current) + steps[event.key], 0), last);
+      } else if (event.key === "Home") {
+        index = 0;
+      } else if (event.key === "End") {
+        index = last;
+      } else if (event.key === "Escape") {
+        show(last, false);
+        return;
+      }
+      if (index !== null) {
+        event.preventDefault();
+        show(index, true);
+      }
+    }, { signal });
   }
 
-  renderRail(railConfig) {
-    const items = railConfig.items || [];
-    const articles = items.map(id => this.state.articlesById.get(id)).filter(Boolean);
-
-    if (articles.length === 0) return "";
+  renderHeatmapWidget(data) {
+    const xLabels = Array.isArray(data.xLabels) ? data.xLabels : [];
+    const yLabels = Array.isArray(data.yLabels) ? data.yLabels : [];
+    const rows = Array.isArray(data.values) ? data.values : [];
+    const palette = Array.isArray(data.palette) ? data.palette : [];
+    // The scale spans the data itself unless min/max pin it
+    const flatValues = rows.flat().map(Number).filter(Number.isFinite);
+    const min = Number.isFinite(data.min) ? data.min : flatValues.length ? Math.min(...flatValues) : 0;
+    const max = Number.isFinite(data.max) ? data.max : flatValues.length ? Math.max(...flatValues) : 1;
+    const range = Math.max(max - min, Number.EPSILON);
+    const unit = data.unit ? ` ${data.unit}` : "";
 
-    const cardTypeClass = railConfig.type === "videos" ? "card-video" :
-      railConfig.type === "clips" ? "card-poster" : "card-standard";
+    const headerCells = xLabels
+      .map((label) => `<span class="heatmap-axis heatmap-axis-x">${escapeHTML(label)}</span>`)
+      .join("");
 
-    const cardsHtml = articles.map(article => {
-      const heroSrc = article.hero?.image?.src || "";
+    const bodyRows = yLabels
+      .map((yLabel, rowIndex) => {
+        const cells = xLabels
+          .map((xLabel, columnIndex) => {
+            const value = Number(rows[rowIndex]?.[columnIndex]);
+            const hasValue = Number.isFinite(value);
+            const fill = hasValue ? interpolatePalette(palette, (value - min) / range) : "transparent";
+            const description = `${yLabel} · ${xLabel}: ${hasValue ? formatNumber(value) + unit : "no data"}`;
+            return `<span class="heatmap-cell" data-label="${escapeHTML(description)}" style="background:${fill}"></span>`;
+          })
+          .join("");
+        return `
+          <div class="heatmap-row">
+            <span class="heatmap-axis heatmap-axis-y">${escapeHTML(yLabel)}</span>
+            ${cells}
+          </div>
+        `;
+      })
+      .join("");
 
-      return `
-            <div class="rail-card ${cardTypeClass}" data-route-link="${escapeHTML(article.id)}">
-                <img class="card-media" src="${escapeHTML(heroSrc)}" loading="lazy" alt="">
-                <div class="card-content">
-                    <h3 class="card-title">${escapeHTML(article.title)}</h3>
-                    <div class="card-meta">
-                        <span>${escapeHTML(article.kicker || "Story")}</span>
-                        ${railConfig.type === 'videos' && article.duration ?
-          `• <span>${escapeHTML(article.duration)}</span>` :
-          `• <span>${article.readingMinutes} min</span>`}
-                    </div>
-                </div>
-            </div>
-          `;
-    }).join("");
+    const gradientStops = paletteStops(palette).map((channels) => `rgb(${channels.join(", ")})`).join(", ");
+    const table = dataTable(
+      `${data.label || "Heatmap"}${data.unit ? ` (${data.unit})` : ""}`,
+      ["", ...xLabels],
+      yLabels.map((yLabel, rowIndex) => [
+        yLabel,
+        ...xLabels.map((_, columnIndex) => {
+          const value = Number(rows[rowIndex]?.[columnIndex]);
+          return Number.isFinite(value) ? formatNumber(value) : "no data";
+        })
+      ])
+    );
 
+    // The grid is drawn for sighted readers; the table carries the numbers for everyone else
     return `
-        <div class="rail-section">
-            <div class="rail-header">
-                ${escapeHTML(railConfig.title)}
-            </div>
-            <div class="rail-container">
-                ${cardsHtml}
-            </div>
+      <span class="widget-title">${escapeHTML(data.label || "Heatmap")}</span>
+      <div class="heatmap" style="--heatmap-columns:${xLabels.length}">
+        <div class="heatmap-grid" aria-hidden="true">
+          <div class="heatmap-row">
+            <span class="heatmap-axis"></span>
+            ${headerCells}
+          </div>
+          ${bodyRows}
         </div>
-      `;
+        <div class="heatmap-tooltip" aria-hidden="true" hidden></div>
+        <div class="heatmap-legend" aria-hidden="true">
+          <span>${escapeHTML(formatNumber(min) + unit)}</span>
+          <span class="heatmap-legend-scale" style="background: linear-gradient(to right, ${gradientStops})"></span>
+          <span>${escapeHTML(formatNumber(max) + unit)}</span>
+        </div>
+      </div>
+      ${table}
+    `;
   }
 
-  renderArticle(id) {
-    const article = this.state.articlesById.get(id);
-    if (!article) {
-      this.renderHome();
-      return;
-    }
+  // Bars grow from zero, so the value axis always includes it; a comparison series
+  // draws beside each bar, and highlightIndex picks out one category
+  renderBarWidget(data) {
+    const label = data.label || "Bar chart";
+    const values = (data.values || []).map((value) => Number(value) || 0);
+    const comparison = Array.isArray(data.comparison?.values) ? values.map((_, index) => Number(data.comparison.values[index]) || 0) : null;
+    const categories = values.map((_, index) => String(data.categories?.[index] ?? index + 1));
+    const orientation = data.orientation === "horizontal" ? "horizontal" : "vertical";
+    const unit = data.unit ? ` ${data.unit}` : "";
+    const seriesLabel = data.seriesLabel || "Value";
+    const comparisonLabel = data.comparison?.label || "Comparison";
 
-    const widgetsById = new Map((article.widgets || []).map((widget) => [widget.id, widget]));
-    const transitionName = `hero-${article.id}`;
-    const heroSrc = article.hero?.image?.src || "";
+    const everyValue = [...values, ...(comparison || [])];
+    const scale = niceScale(Math.min(0, ...everyValue), Math.max(0, ...everyValue));
+    const position = (value) => (value - scale.min) / (scale.max - scale.min);
+    const zero = position(0);
 
-    // Render Blocks
-    const blocksHtml = (article.blocks || [])
-      .map((block) => {
-        if (block.type === "paragraph") {
-          return `<p>${escapeHTML(block.text)}</p>`;
-        }
-        if (block.type === "heading") {
-          const level = Math.min(Math.max(Number(block.level) || 2, 2), 4);
-          return `<h${level}>${escapeHTML(block.text)}</h${level}>`;
-        }
-        if (block.type === "widget") {
-          const widget = widgetsById.get(block.widgetRef);
-          if (!widget) return "";
+    const fill = (value, index, series) => {
+      const start = Math.min(zero, position(value));
+      const size = Math.abs(position(value) - zero);
+      const negative = value < 0 ? " is-negative" : "";
+      return `<span class="bar-fill bar-${series}${negative}" style="--start:${start.toFixed(4)}; --size:${size.toFixed(4)}; --index:${index}"></span>`;
+    };
 
-          const widgetPayload = widget.data || article.widget_data?.[widget.dataRef || ""] || { label: "Missing Data" };
+    const groups = values
+      .map((value, index) => `
+          <div class="bar-group${index === data.highlightIndex ? " is-highlighted" : ""}">
+            <span class="bar-track">
+              ${fill(value, index, "primary")}
+              ${comparison ? fill(comparison[index], index, "comparison") : ""}
+            </span>
+            <span class="bar-category" title="${escapeHTML(categories[index])}">${escapeHTML(categories[index])}</span>
+          </div>
+        `)
+      .join("");
 
-          return `
-            <section class="widget-slot" data-widget="${escapeHTML(widget.type)}">
-              ${this.renderWidget(widget.type, widgetPayload)}
-            </section>
-          `;
-        }
-        if (block.type === "image") {
-          return `
-            <figure class="widget-slot" style="padding:0; overflow:hidden; border:none;">
-              <img
-                src="${escapeHTML(block.src || "")}"
-                alt="${escapeHTML(block.alt || "")}"
-                style="width:100%; display:block;"
-                loading="lazy"
-              >
-              ${block.caption ? `<figcaption class="widget-title" style="padding:12px;">${escapeHTML(block.caption)}</figcaption>` : ""}
-            </figure>
-          `;
-        }
-        return "";
-      })
+    const ticks = scale.ticks
+      .map((tick) => `<span class="bar-tick" style="--at:${position(tick).toFixed(4)}">${escapeHTML(formatNumber(tick))}</span>`)
       .join("");
 
-    this.mount.innerHTML = `
-      <article class="article-shell">
-        <div class="article-hero">
-            <img
-                class="hero-media"
-                src="${escapeHTML(heroSrc)}"
-                alt="${escapeHTML(article.title)}"
-                style="view-transition-name: ${transitionName}"
-            >
-        </div>
-        
-        <div class="article-header">
-             <div class="chip-row">
-                <span class="chip">${escapeHTML(article.kicker || "Featured")}</span>
-                <span class="chip">${formatDate(article.publishedAt)}</span>
-             </div>
-             <h1 class="article-title">${escapeHTML(article.title)}</h1>
-             <p class="article-dek">${escapeHTML(article.dek || "")}</p>
+    const legend = comparison
+      ? `
+        <div class="bar-legend" aria-hidden="true">
+          <span class="bar-key bar-primary">${escapeHTML(seriesLabel)}</span>
+          <span class="bar-key bar-comparison">${escapeHTML(comparisonLabel)}</span>
         </div>
+      `
+      : "";
 
-        <div class="article-body">
-            ${blocksHtml}
+    const table = dataTable(
+      `${label}${data.unit ? ` (${data.unit})` : ""}`,
+      comparison ? ["", seriesLabel, comparisonLabel] : ["", seriesLabel],
+      values.map((value, index) => [
+        `${categories[index]}${index === data.highlightIndex ? " (highlighted)" : ""}`,
+        formatNumber(value),
+        ...(comparison ? [formatNumber(comparison[index])] : [])
+      ])
+    );
+
+    return `
+      <span class="widget-title">${escapeHTML(label)}</span>
+      <div class="bar-chart is-${orientation}" aria-hidden="true">
+        <div class="bar-axis">${ticks}</div>
+        <div class="bar-plot">
+          ${groups}
         </div>
-      </article>
+      </div>
+      ${legend}
+      ${table}
     `;
-
-    // Scroll to top of article
-    this.mount.closest('.route-shell').scrollTop = 0;
   }
 
-  renderWidget(type, data) {
-    const renderer = this.widgetRegistry.get(type);
-    if (!renderer) {
+  renderVideoPlayerWidget(data) {
+    const title = data.label ? `<span class="widget-title">${escapeHTML(data.label)}</span>` : "";
+    const settings = {
+      autoplay: data.autoplay === true,
+      muted: data.muted !== false,
+      controls: data.controls !== false
+    };
+    const embed = platformEmbed(data.src, settings);
+
+    if (embed) {
       return `
-        <span class="widget-title">Unsupported: ${escapeHTML(type)}</span>
-        <span class="widget-placeholder"></span>
+        ${title}
+        <div class="video-frame">
+          <iframe
+            data-bgm-media
+            data-provider="${embed.provider}"
+            data-src="${escapeHTML(embed.url)}"
+            title="${escapeHTML(data.label || "Embedded video")}"
+            allow="autoplay; encrypted-media; fullscreen; picture-in-picture"
+            allowfullscreen
+            loading="lazy"
+          ></iframe>
+        </div>
       `;
     }
-    return renderer(data);
-  }
 
-  renderSparklineWidget(data) {
-    const points = Array.isArray(data.points) ? data.points.map((value) => Number(value) || 0) : [0, 0];
-    const max = Math.max(...points, 1);
-    const min = Math.min(...points, 0);
-    const range = Math.max(max - min, 1);
-    const polyline = points
-      .map((point, index) => {
-        const x = (index / Math.max(points.length - 1, 1)) * 100;
-        const y = 100 - ((point - min) / range) * 100;
-        return `${x.toFixed(2)},${y.toFixed(2)}`;
-      })
-      .join(" ");
+    const preload = ["none", "metadata", "auto"].includes(data.preload) ? data.preload : "metadata";
+    const captions = data.captions
+      ? `<track kind="captions" src="${escapeHTML(data.captions)}" srclang="${escapeHTML(data.captionsLang || "en")}" label="${escapeHTML(data.captionsLabel || "Captions")}" default>`
+      : "";
 
-    /* @ANTIGRAVITY_INJECT: [SPARKLINE_SVG_PATH_DRAW] */
+    // Autoplay is driven by visibility (see onMediaVisibility) rather than the attribute,
+    // so offscreen players never start on their own.
     return `
-      <span class="widget-title">${escapeHTML(data.label || "Sparkline")}</span>
-      <span class="widget-placeholder">
-        <svg viewBox="0 0 100 100" preserveAspectRatio="none" aria-hidden="true" style="overflow:visible">
-          <polyline
-            fill="none"
-            stroke="${escapeHTML(data.color || "#D4AF37")}"
-            stroke-width="2"
-            vector-effect="non-scaling-stroke"
-            points="${polyline}"
-          ></polyline>
-        </svg>
-      </span>
+      ${title}
+      <div class="video-frame">
+        <video
+          class="video-player"
+          data-bgm-media
+          data-preload="${preload}"
+          data-autoplay="${settings.autoplay}"
+          preload="none"
+          src="${escapeHTML(data.src)}"
+          ${data.poster ? `poster="${escapeHTML(data.poster)}"` : ""}
+          ${settings.muted ? "muted" : ""}
+          ${settings.controls ? "controls" : ""}
+          playsinline
+        >${captions}</video>
+      </div>
     `;
   }
 
@@ -492,7 +3708,7 @@ class BGM_Core {
         const opacity = isActive ? 0.9 : 0.15;
         // Simple heatmap gradient logic
         const hue = 60 - (index * 20); // Yellow to Red-ish
-        return `<rect x="${index * 25}" y="${isActive ? 20 : 40}" width="20" height="${isActive ? 60 : 40}" rx="4" fill="hsla(${hue}, 80%, 50%, ${opacity})"></rect>`;
+        return `<rect class="heat-bar" x="${index * 25}" y="${isActive ? 20 : 40}" width="20" height="${isActive ? 60 : 40}" rx="4" fill="hsla(${hue}, 80%, 50%, ${opacity})"></rect>`;
       })
       .join("");
 
@@ -510,11 +3726,30 @@ class BGM_Core {
 
 window.BGM_Core = BGM_Core;
 
-const bgmApp = new BGM_Core();
-bgmApp.init().catch((error) => {
-  console.error("[BGM_Core] init failed", error);
-  const mount = document.querySelector("#app");
-  if (mount) {
-    mount.innerHTML = `<p>Engine init failed. Check console for details.</p>`;
+// Drain plugins queued before this script loaded; pushes from here on register straight away
+const queuedWidgets = Array.isArray(window.BGM_WIDGETS) ? window.BGM_WIDGETS : [];
+window.BGM_WIDGETS = {
+  push(...entries) {
+    entries.forEach(([type, plugin] = []) => {
+      try {
+        BGM_Core.registerWidget(type, plugin);
+      } catch (error) {
+        console.error("[BGM_Core] queued widget not registered", error);
+      }
+    });
+    return entries.length;
   }
-});
+};
+window.BGM_WIDGETS.push(...queuedWidgets);
+
+// scripts/prerender.js loads this file to reuse the renderers and drives BGM_Core itself
+if (!window.BGM_PRERENDER) {
+  const bgmApp = new BGM_Core();
+  bgmApp.init().catch((error) => {
+    console.error("[BGM_Core] init failed", error);
+    const mount = document.querySelector("#app");
+    if (mount) {
+      mount.innerHTML = `<p>Engine init failed. Check console for details.</p>`;
+    }
+  });
+}
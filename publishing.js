@@ -0,0 +1,73 @@
+// Which articles[] are public at a given time (spec.md §3.2): `status: "draft"` keeps a
+// story hidden, and a `publishedAt` in the future embargoes it until then.
+// Loads as a classic script (window.BGM_Publishing) or through require().
+(function (root) {
+  const ARTICLE_STATUSES = ["published", "draft"];
+
+  /**
+   * @returns {"published"|"draft"|"scheduled"}
+   */
+  function articleState(article, now = Date.now()) {
+    if (article?.status === "draft") {
+      return "draft";
+    }
+    const publishedAt = Date.parse(article?.publishedAt);
+    return publishedAt > now ? "scheduled" : "published";
+  }
+
+  function isPublic(article, now = Date.now()) {
+    return articleState(article, now) === "published";
+  }
+
+  /**
+   * The content as readers may see it at `now`: hidden articles removed, along with
+   * the home references to them. In preview every article stays, and the hidden ones
+   * carry `previewState` ("draft" or "scheduled") for the engine's banner. Returns
+   * `content` itself when nothing is hidden.
+   */
+  function visibleContent(content, { now = Date.now(), preview = false } = {}) {
+    const articles = content?.articles || [];
+    const hidden = new Set(articles.filter((article) => !isPublic(article, now)).map((article) => article.id));
+    if (hidden.size === 0) {
+      return content;
+    }
+    if (preview) {
+      return {
+        ...content,
+        articles: articles.map((article) => (hidden.has(article.id) ? { ...article, previewState: articleState(article, now) } : article))
+      };
+    }
+
+    const home = content.home || {};
+    const shown = (id) => !hidden.has(id);
+    return {
+      ...content,
+      articles: articles.filter((article) => shown(article.id)),
+      home: {
+        ...home,
+        ...(Array.isArray(home.featured) ? { featured: home.featured.filter(shown) } : {}),
+        ...(Array.isArray(home.feed) ? { feed: home.feed.filter((entry) => shown(entry?.articleId)) } : {}),
+        ...(Array.isArray(home.rails) ? { rails: home.rails.map((rail) => (Array.isArray(rail?.items) ? { ...rail, items: rail.items.filter(shown) } : rail)) } : {})
+      }
+    };
+  }
+
+  /**
+   * When the next scheduled article goes public, as a timestamp; null when none is waiting.
+   * Drafts never do on their own.
+   */
+  function nextEmbargo(content, now = Date.now()) {
+    const times = (content?.articles || [])
+      .filter((article) => articleState(article, now) === "scheduled")
+      .map((article) => Date.parse(article.publishedAt));
+    return times.length > 0 ? Math.min(...times) : null;
+  }
+
+  const api = { articleState, isPublic, visibleContent, nextEmbargo, ARTICLE_STATUSES };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  } else {
+    root.BGM_Publishing = api;
+  }
+})(globalThis);
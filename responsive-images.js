@@ -0,0 +1,108 @@
+// <img> markup for spec.md image objects: srcset/sizes, width/height so the box is
+// reserved before the file arrives, and the blur-up placeholder from scripts/build-images.js.
+// Loads as a classic script (window.BGM_Images) or through require().
+(function (root) {
+  // Candidate widths for CDNs that resize through a URL parameter
+  const SRCSET_WIDTHS = [320, 480, 640, 960, 1280, 1600, 1920];
+  const DEFAULT_MAX_WIDTH = 1920;
+  // imgix-compatible hosts: `w` sets the rendered width, `h` (with fit=crop) the height
+  const RESIZING_HOSTS = [/^images\.unsplash\.com$/, /\.imgix\.net$/];
+
+  function escapeHTML(value) {
+    return String(value ?? "")
+      .replaceAll("&", "&amp;")
+      .replaceAll("<", "&lt;")
+      .replaceAll(">", "&gt;")
+      .replaceAll('"', "&quot;")
+      .replaceAll("'", "&#39;");
+  }
+
+  function resizableUrl(src) {
+    try {
+      const url = new URL(src);
+      return RESIZING_HOSTS.some((pattern) => pattern.test(url.hostname)) ? url : null;
+    } catch {
+      return null;
+    }
+  }
+
+  function withWidth(url, width, maxWidth) {
+    const resized = new URL(url.href);
+    resized.searchParams.set("w", String(width));
+    const height = Number(url.searchParams.get("h"));
+    if (height > 0) {
+      resized.searchParams.set("h", String(Math.round((height * width) / maxWidth)));
+    }
+    return resized.href;
+  }
+
+  /**
+   * Sizes the browser may pick from, narrowest first. Local assets list the
+   * `variants` written by the build step; resizing CDNs get one URL per width
+   * up to the source's own.
+   * @returns {Array<{ src: string, width: number }>}
+   */
+  function imageCandidates(image) {
+    if (!image?.src) {
+      return [];
+    }
+    if (Array.isArray(image.variants) && image.variants.length > 0) {
+      const variants = image.variants.filter((variant) => variant?.src && Number(variant.width) > 0);
+      const widest = Math.max(0, ...variants.map((variant) => Number(variant.width)));
+      if (Number(image.width) > widest) {
+        variants.push({ src: image.src, width: Number(image.width) });
+      }
+      return variants.sort((a, b) => a.width - b.width);
+    }
+
+    const url = resizableUrl(image.src);
+    if (!url) {
+      return [];
+    }
+    const maxWidth = Number(url.searchParams.get("w")) || Number(image.width) || DEFAULT_MAX_WIDTH;
+    return [...SRCSET_WIDTHS.filter((width) => width < maxWidth), maxWidth].map((width) => ({
+      src: withWidth(url, width, maxWidth),
+      width
+    }));
+  }
+
+  /**
+   * @param {object|string} image - spec image object ({ src, alt, width, height, loading, placeholder, variants }) or a bare URL
+   * @param {object} [options] - { sizes, alt, className, priority, style }; `priority` loads eagerly with fetchpriority="high"
+   * @returns {string} an <img> tag, or "" without a src
+   */
+  function renderImage(image, { sizes = "100vw", alt, className = "", priority = false, style = "" } = {}) {
+    const source = typeof image === "string" ? { src: image } : image || {};
+    if (!source.src) {
+      return "";
+    }
+    const candidates = imageCandidates(source);
+    const width = Number(source.width);
+    const height = Number(source.height);
+    const loading = priority ? "eager" : source.loading || "lazy";
+    // The placeholder paints under the image until it decodes
+    const styles = [style, source.placeholder ? `background-image: url("${source.placeholder}")` : ""].filter(Boolean).join("; ");
+    const classes = [className, source.placeholder ? "blur-up" : ""].filter(Boolean).join(" ");
+
+    const attributes = [
+      classes ? `class="${escapeHTML(classes)}"` : "",
+      `src="${escapeHTML(source.src)}"`,
+      candidates.length > 1 ? `srcset="${escapeHTML(candidates.map((candidate) => `${candidate.src} ${candidate.width}w`).join(", "))}"` : "",
+      candidates.length > 1 ? `sizes="${escapeHTML(sizes)}"` : "",
+      width > 0 && height > 0 ? `width="${width}" height="${height}"` : "",
+      `alt="${escapeHTML(alt ?? source.alt ?? "")}"`,
+      `loading="${loading}"`,
+      priority ? 'fetchpriority="high"' : 'decoding="async"',
+      styles ? `style="${escapeHTML(styles)}"` : ""
+    ];
+    return `<img ${attributes.filter(Boolean).join(" ")}>`;
+  }
+
+  const api = { renderImage, imageCandidates, resizableUrl, withWidth, SRCSET_WIDTHS };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  } else {
+    root.BGM_Images = api;
+  }
+})(globalThis);
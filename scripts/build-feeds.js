@@ -0,0 +1,247 @@
+#!/usr/bin/env node
+// Builds feed.xml (RSS 2.0), atom.xml and feed.json (JSON Feed 1.1) from articles[]:
+//   node scripts/build-feeds.js [content.json] [--out dir] [--site-url https://example.org/]
+// Item bodies are full HTML from BGM_Core's block renderers. Output depends only on
+// the content (no build timestamps, stable ordering), so regenerated feeds diff cleanly;
+// the exception is a scheduled story, which joins the first build after its publishedAt
+// (drafts stay out; see publishing.js). Items link to the pages from scripts/prerender.js.
+const fs = require("fs");
+const path = require("path");
+const { toSpec } = require("../content-adapter.js");
+const { visibleContent } = require("../publishing.js");
+const { articlePath } = require("../head-manager.js");
+const { createEngine } = require("./render-engine.js");
+
+const ROOT = path.join(__dirname, "..");
+const FEED_FILES = { rss: "feed.xml", atom: "atom.xml", json: "feed.json" };
+const LANGUAGE = "en";
+
+function parseArgs(argv) {
+  const args = { input: path.join(ROOT, "content.json"), out: ROOT, siteUrl: null };
+  for (let index = 0; index < argv.length; index += 1) {
+    if (argv[index] === "--out") {
+      args.out = path.resolve(argv[index + 1]);
+      index += 1;
+    } else if (argv[index] === "--site-url") {
+      args.siteUrl = argv[index + 1];
+      index += 1;
+    } else {
+      args.input = path.resolve(argv[index]);
+    }
+  }
+  return args;
+}
+
+function escapeXML(value) {
+  return String(value ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&apos;");
+}
+
+function cdata(value) {
+  return `<![CDATA[${String(value).replaceAll("]]>", "]]]]><![CDATA[>")}]]>`;
+}
+
+// Feed readers resolve nothing against the site, so every src/href/srcset URL is made absolute
+function absolutizeUrls(html, base) {
+  const absolute = (value) => new URL(value.replaceAll("&amp;", "&"), base).href.replaceAll("&", "&amp;").replaceAll('"', "&quot;");
+  return html
+    .replace(/\s(src|href)="([^"]*)"/g, (match, attribute, value) => ` ${attribute}="${absolute(value)}"`)
+    .replace(/\ssrcset="([^"]*)"/g, (match, value) => {
+      const candidates = value.split(/,\s+/).map((candidate) => {
+        const [url, descriptor] = candidate.trim().split(/\s+/);
+        return descriptor ? `${absolute(url)} ${descriptor}` : absolute(url);
+      });
+      return ` srcset="${candidates.join(", ")}"`;
+    });
+}
+
+// Authored dates needn't share an offset or precision, so they order by time, not as strings;
+// missing or unparseable ones count as oldest
+function dateValue(isoValue) {
+  const time = Date.parse(isoValue);
+  return Number.isNaN(time) ? 0 : time;
+}
+
+function latest(dates) {
+  return dates.filter(Boolean).sort((a, b) => dateValue(a) - dateValue(b)).at(-1) || "";
+}
+
+// Newest first; ids break ties so equal dates keep a stable order
+function feedArticles(content) {
+  return [...(content.articles || [])].sort(
+    (a, b) => dateValue(b.publishedAt) - dateValue(a.publishedAt) || a.id.localeCompare(b.id)
+  );
+}
+
+function articleHTML(core, article, url) {
+  const widgetsById = new Map((article.widgets || []).map((widget) => [widget.id, widget]));
+  const parts = [];
+  if (article.hero?.image?.src) {
+    parts.push(core.renderBlock({ ...article.hero.image, type: "image", alt: article.hero.image.alt || article.title }));
+  }
+  for (const block of article.blocks || []) {
+    // Widgets hydrate client-side; readers get a pointer to the live version instead
+    if (block.type === "widget") {
+      const widget = widgetsById.get(block.widgetRef);
+      const payload = widget ? widget.data || article.widget_data?.[widget.dataRef || ""] : null;
+      if (widget) {
+        parts.push(`<p><em>Interactive: <a href="${escapeXML(url)}">${escapeXML(payload?.label || widget.type)}</a></em></p>`);
+      }
+      continue;
+    }
+    // Players load their source lazily in the browser, so readers get the link
+    if (block.type === "video") {
+      parts.push(`<p><em>Video: <a href="${escapeXML(block.src)}">${escapeXML(block.caption || article.title)}</a></em></p>`);
+      continue;
+    }
+    parts.push(core.renderBlock(block, null, null, article));
+  }
+  return absolutizeUrls(
+    parts
+      .filter(Boolean)
+      .map((html) => html.trim())
+      .join("\n"),
+    url
+  );
+}
+
+function feedItems(content, siteUrl) {
+  const engine = createEngine(siteUrl);
+  const core = new engine.BGM_Core({ enableViewTransitions: false, devMode: false });
+  return feedArticles(content).map((article) => {
+    const url = new URL(articlePath(article.id), siteUrl).href;
+    const imageSrc = article.seo?.ogImage || article.hero?.image?.src;
+    return {
+      id: url,
+      url,
+      title: article.title || "",
+      summary: article.seo?.description || article.dek || "",
+      html: articleHTML(core, article, url),
+      image: imageSrc ? new URL(imageSrc, siteUrl).href : "",
+      published: article.publishedAt || "",
+      updated: article.updatedAt || article.publishedAt || "",
+      authors: article.authors || [],
+      tags: article.tags || []
+    };
+  });
+}
+
+function renderRss(channel, items) {
+  const itemsXml = items.map((item) => [
+    "    <item>",
+    `      <title>${escapeXML(item.title)}</title>`,
+    `      <link>${escapeXML(item.url)}</link>`,
+    `      <guid isPermaLink="true">${escapeXML(item.id)}</guid>`,
+    item.published ? `      <pubDate>${new Date(item.published).toUTCString()}</pubDate>` : null,
+    ...item.authors.map((name) => `      <dc:creator>${escapeXML(name)}</dc:creator>`),
+    ...item.tags.map((tag) => `      <category>${escapeXML(tag)}</category>`),
+    item.summary ? `      <description>${escapeXML(item.summary)}</description>` : null,
+    `      <content:encoded>${cdata(item.html)}</content:encoded>`,
+    "    </item>"
+  ].filter(Boolean).join("\n"));
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXML(channel.title)}</title>
+    <link>${escapeXML(channel.siteUrl)}</link>
+    <description>${escapeXML(channel.description)}</description>
+    <language>${LANGUAGE}</language>
+${channel.updated ? `    <lastBuildDate>${new Date(channel.updated).toUTCString()}</lastBuildDate>\n` : ""}    <atom:link href="${escapeXML(channel.feedUrls.rss)}" rel="self" type="application/rss+xml"/>
+${itemsXml.join("\n")}
+  </channel>
+</rss>
+`;
+}
+
+function renderAtom(channel, items) {
+  const entriesXml = items.map((item) => [
+    "  <entry>",
+    `    <id>${escapeXML(item.id)}</id>`,
+    `    <title>${escapeXML(item.title)}</title>`,
+    `    <link rel="alternate" type="text/html" href="${escapeXML(item.url)}"/>`,
+    item.published ? `    <published>${escapeXML(item.published)}</published>` : null,
+    `    <updated>${escapeXML(item.updated || channel.updated)}</updated>`,
+    ...item.authors.map((name) => `    <author><name>${escapeXML(name)}</name></author>`),
+    ...item.tags.map((tag) => `    <category term="${escapeXML(tag)}"/>`),
+    item.summary ? `    <summary>${escapeXML(item.summary)}</summary>` : null,
+    `    <content type="html">${escapeXML(item.html)}</content>`,
+    "  </entry>"
+  ].filter(Boolean).join("\n"));
+
+  // Entries without authors fall back to the feed-level author, which Atom requires
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${LANGUAGE}">
+  <id>${escapeXML(channel.siteUrl)}</id>
+  <title>${escapeXML(channel.title)}</title>
+${channel.description ? `  <subtitle>${escapeXML(channel.description)}</subtitle>\n` : ""}  <link rel="alternate" type="text/html" href="${escapeXML(channel.siteUrl)}"/>
+  <link rel="self" type="application/atom+xml" href="${escapeXML(channel.feedUrls.atom)}"/>
+  <updated>${escapeXML(channel.updated)}</updated>
+  <author><name>${escapeXML(channel.title)}</name></author>
+${entriesXml.join("\n")}
+</feed>
+`;
+}
+
+function renderJsonFeed(channel, items) {
+  const feed = {
+    version: "https://jsonfeed.org/version/1.1",
+    title: channel.title,
+    home_page_url: channel.siteUrl,
+    feed_url: channel.feedUrls.json,
+    description: channel.description || undefined,
+    language: LANGUAGE,
+    items: items.map((item) => ({
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      summary: item.summary || undefined,
+      content_html: item.html,
+      image: item.image || undefined,
+      date_published: item.published || undefined,
+      date_modified: item.updated || undefined,
+      authors: item.authors.length > 0 ? item.authors.map((name) => ({ name })) : undefined,
+      tags: item.tags.length > 0 ? item.tags : undefined
+    }))
+  };
+  return `${JSON.stringify(feed, null, 4)}\n`;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const content = visibleContent(toSpec(JSON.parse(fs.readFileSync(args.input, "utf8"))));
+  const siteUrl = content.meta?.siteUrl || args.siteUrl;
+  if (!siteUrl || !/^https?:\/\//.test(siteUrl)) {
+    console.error("✗ feeds need an absolute site URL: set meta.siteUrl or pass --site-url");
+    process.exitCode = 1;
+    return;
+  }
+  const root = siteUrl.endsWith("/") ? siteUrl : `${siteUrl}/`;
+
+  const items = feedItems(content, root);
+  const channel = {
+    title: content.meta?.siteName || "",
+    description: content.meta?.description || "",
+    siteUrl: root,
+    // Newest article edit, so an unchanged content.json rebuilds byte-identical feeds
+    updated: latest(items.map((item) => item.updated)) || content.meta?.generatedAt || "",
+    feedUrls: Object.fromEntries(Object.entries(FEED_FILES).map(([kind, file]) => [kind, new URL(file, root).href]))
+  };
+
+  const outputs = {
+    [FEED_FILES.rss]: renderRss(channel, items),
+    [FEED_FILES.atom]: renderAtom(channel, items),
+    [FEED_FILES.json]: renderJsonFeed(channel, items)
+  };
+  for (const [file, body] of Object.entries(outputs)) {
+    const target = path.join(args.out, file);
+    fs.writeFileSync(target, body);
+    console.log(`✓ ${path.relative(process.cwd(), target)} (${items.length} items)`);
+  }
+}
+
+main();
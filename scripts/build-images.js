@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+// Fills in what responsive-images.js needs for every image object in content.json
+// (article heroes, image blocks, gallery images):
+//   node scripts/build-images.js [content.json] [--out output.json]
+// - width/height: read from the file header for local assets; resizing CDNs report
+//   the aspect ratio through a tiny rendition, scaled up to the URL's `w`.
+// - variants: pre-sized copies next to a local source, named <name>-<width>w.<ext>
+//   (assets/hero/story-1-640w.jpg), become its srcset. Make them with any image tool.
+// - placeholder: a blurred SVG data: URI around a tiny rendition: the CDN's w=24
+//   image, or the smallest local variant when it is at most 32px wide.
+// Rewrites the input in place unless --out is given. Authored width/height are kept.
+const fs = require("fs");
+const path = require("path");
+const { detectShape } = require("../content-adapter.js");
+const { resizableUrl, withWidth } = require("../responsive-images.js");
+const { validateContent, formatIssue } = require("../content-validator.js");
+
+const ROOT = path.join(__dirname, "..");
+const PLACEHOLDER_WIDTH = 24;
+const PLACEHOLDER_MAX_WIDTH = 32;
+const FETCH_TIMEOUT_MS = 10000;
+const MIME_TYPES = { png: "image/png", jpeg: "image/jpeg", gif: "image/gif", webp: "image/webp" };
+
+function parseArgs(argv) {
+  const args = { input: path.join(ROOT, "content.json"), output: null };
+  for (let index = 0; index < argv.length; index += 1) {
+    if (argv[index] === "--out") {
+      args.output = argv[index + 1];
+      index += 1;
+    } else {
+      args.input = argv[index];
+    }
+  }
+  args.input = path.resolve(args.input);
+  args.output = path.resolve(args.output || args.input);
+  return args;
+}
+
+// Pixel size from the file header; null for formats we don't read
+function imageSize(buffer) {
+  if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+    return { type: "png", width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  if (buffer.length >= 10 && buffer.toString("ascii", 0, 4) === "GIF8") {
+    return { type: "gif", width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+  if (buffer.length >= 30 && buffer.toString("ascii", 0, 4) === "RIFF" && buffer.toString("ascii", 8, 12) === "WEBP") {
+    const chunk = buffer.toString("ascii", 12, 16);
+    if (chunk === "VP8 ") {
+      return { type: "webp", width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    }
+    if (chunk === "VP8L") {
+      const bits = buffer.readUInt32LE(21);
+      return { type: "webp", width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === "VP8X") {
+      return { type: "webp", width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    }
+    return null;
+  }
+  if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    // Walk the JPEG segments to the first start-of-frame marker
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xff) {
+        return null;
+      }
+      const marker = buffer[offset + 1];
+      if (marker === 0xff) {
+        offset += 1;
+        continue;
+      }
+      if ((marker >= 0xd0 && marker <= 0xd9) || marker === 0x01) {
+        offset += 2;
+        continue;
+      }
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { type: "jpeg", height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+  return null;
+}
+
+// The tiny raster is scaled up by the browser; the SVG blur hides its pixels, and the
+// alpha transfer keeps the blur from fading out at the edges
+function blurPlaceholder(buffer, size) {
+  const raster = `data:${MIME_TYPES[size.type]};base64,${buffer.toString("base64")}`;
+  const svg = [
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size.width} ${size.height}">`,
+    '<filter id="b" color-interpolation-filters="sRGB"><feGaussianBlur stdDeviation="1.5"/>',
+    '<feComponentTransfer><feFuncA type="discrete" tableValues="1 1"/></feComponentTransfer></filter>',
+    `<image width="100%" height="100%" preserveAspectRatio="none" filter="url(#b)" href="${raster}"/>`,
+    "</svg>"
+  ].join("");
+  return `data:image/svg+xml,${encodeURIComponent(svg)}`;
+}
+
+function contentImages(content) {
+  const images = [];
+  for (const article of content.articles || []) {
+    if (article.hero?.image?.src) {
+      images.push({ image: article.hero.image, where: `${article.id} hero` });
+    }
+    (article.blocks || []).forEach((block, index) => {
+      if (block.type === "image" && block.src) {
+        images.push({ image: block, where: `${article.id} blocks[${index}]` });
+      }
+      if (block.type === "gallery") {
+        (block.images || []).filter((image) => image?.src).forEach((image) => images.push({ image, where: `${article.id} blocks[${index}]` }));
+      }
+    });
+  }
+  return images;
+}
+
+function localVariants(file, src) {
+  const extension = path.extname(file);
+  const stem = path.basename(file, extension);
+  const pattern = new RegExp(`^${stem.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}-(\\d+)w${extension.replace(".", "\\.")}$`);
+  const srcDir = path.posix.dirname(src);
+  return fs
+    .readdirSync(path.dirname(file))
+    .map((name) => ({ name, match: name.match(pattern) }))
+    .filter(({ match }) => match)
+    .map(({ name, match }) => ({
+      src: srcDir === "." ? name : `${srcDir}/${name}`,
+      width: Number(match[1]),
+      file: path.join(path.dirname(file), name)
+    }))
+    .sort((a, b) => a.width - b.width);
+}
+
+function describeLocal(image) {
+  const file = path.join(ROOT, image.src.replace(/^\//, "").split("?")[0]);
+  if (!file.startsWith(ROOT) || !fs.existsSync(file)) {
+    throw new Error(`${image.src} not found`);
+  }
+  const size = imageSize(fs.readFileSync(file));
+  if (!size) {
+    throw new Error(`${image.src}: unreadable image header`);
+  }
+  const result = { width: size.width, height: size.height };
+
+  const variants = localVariants(file, image.src);
+  const tiny = variants[0]?.width <= PLACEHOLDER_MAX_WIDTH ? variants.shift() : null;
+  if (tiny) {
+    const buffer = fs.readFileSync(tiny.file);
+    const tinySize = imageSize(buffer);
+    if (tinySize) {
+      result.placeholder = blurPlaceholder(buffer, tinySize);
+    }
+  }
+  if (variants.length > 0) {
+    result.variants = variants.map(({ src, width }) => ({ src, width }));
+  }
+  return result;
+}
+
+async function describeRemote(image, url) {
+  const tiny = new URL(withWidth(url, PLACEHOLDER_WIDTH, Number(url.searchParams.get("w")) || PLACEHOLDER_WIDTH));
+  // A format we can read the header of, whatever auto=format would negotiate
+  tiny.searchParams.set("fm", "jpg");
+  tiny.searchParams.set("q", "40");
+  const response = await fetch(tiny, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  if (!response.ok) {
+    throw new Error(`${image.src}: HTTP ${response.status}`);
+  }
+  const buffer = Buffer.from(await response.arrayBuffer());
+  const size = imageSize(buffer);
+  if (!size) {
+    throw new Error(`${image.src}: unreadable image header`);
+  }
+  const width = Number(url.searchParams.get("w")) || Number(image.width) || 0;
+  return {
+    ...(width > 0 ? { width, height: Number(url.searchParams.get("h")) || Math.round((width * size.height) / size.width) } : {}),
+    placeholder: blurPlaceholder(buffer, size)
+  };
+}
+
+async function main() {
+  const { input, output } = parseArgs(process.argv.slice(2));
+  const content = JSON.parse(fs.readFileSync(input, "utf8"));
+  if (detectShape(content) !== "spec") {
+    console.error(`✗ ${path.relative(process.cwd(), input)} is not in spec shape; run scripts/migrate-content.js first`);
+    process.exitCode = 1;
+    return;
+  }
+
+  let described = 0;
+  for (const { image, where } of contentImages(content)) {
+    const url = resizableUrl(image.src);
+    try {
+      if (!url && /^[a-z][a-z0-9+.-]*:/i.test(image.src)) {
+        continue; // Remote, but not a CDN we can ask for sizes
+      }
+      const { width, height, ...rest } = url ? await describeRemote(image, url) : describeLocal(image);
+      if (!(image.width > 0 && image.height > 0) && width > 0) {
+        Object.assign(image, { width, height });
+      }
+      // Recomputed on every run, so removed variants don't linger
+      delete image.variants;
+      delete image.placeholder;
+      Object.assign(image, rest);
+      described += 1;
+    } catch (error) {
+      console.warn(`  ! ${where}: ${error.message}`);
+    }
+  }
+
+  fs.writeFileSync(output, `${JSON.stringify(content, null, 2)}\n`);
+  console.log(`✓ wrote ${path.relative(process.cwd(), output)} (${described} images described)`);
+
+  const result = validateContent(content);
+  for (const issue of [...result.errors, ...result.warnings]) {
+    console.warn(`  ${issue.severity} ${formatIssue(issue)}`);
+  }
+  if (!result.valid) {
+    process.exitCode = 1;
+  }
+}
+
+main();
@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+// Local static server for development: node scripts/dev-server.js [--port 8080]
+// - Answers conditional requests (ETag / Last-Modified -> 304) like GitHub Pages does.
+// - Stands in for a push endpoint: GET /events is a Server-Sent Events stream that
+//   emits `content-updated` whenever content.json changes on disk. Open the site
+//   with ?transport=sse to have BGM_Core listen to it instead of polling.
+// - Serves everything with Cache-Control: no-cache, so live widget sources pointed at
+//   local files (data/*.csv, data/*.json; spec.md §3.4) pick up edits on their next refresh.
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..");
+const CONTENT_FILE = path.join(ROOT, "content.json");
+const HEARTBEAT_MS = 15000;
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".webmanifest": "application/manifest+json",
+  ".xml": "application/xml; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".webp": "image/webp",
+  ".mp4": "video/mp4",
+  ".vtt": "text/vtt; charset=utf-8",
+  ".csv": "text/csv; charset=utf-8"
+};
+
+const eventClients = new Set();
+
+function parsePort(argv) {
+  const index = argv.indexOf("--port");
+  return Number(index >= 0 ? argv[index + 1] : process.env.PORT) || 8080;
+}
+
+function resolveFile(urlPath) {
+  const decoded = decodeURIComponent(urlPath.split("?")[0]);
+  const filePath = path.normalize(path.join(ROOT, decoded));
+  if (!filePath.startsWith(ROOT)) {
+    return null;
+  }
+  if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+    return path.join(filePath, "index.html");
+  }
+  return filePath;
+}
+
+function serveStatic(request, response) {
+  const filePath = resolveFile(request.url);
+  if (!filePath || !fs.existsSync(filePath)) {
+    response.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
+    response.end("Not found");
+    return;
+  }
+
+  const stats = fs.statSync(filePath);
+  const etag = `W/"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+  const lastModified = stats.mtime.toUTCString();
+  const headers = {
+    "Content-Type": MIME_TYPES[path.extname(filePath)] || "application/octet-stream",
+    "Cache-Control": "no-cache",
+    ETag: etag,
+    "Last-Modified": lastModified
+  };
+
+  const ifNoneMatch = request.headers["if-none-match"];
+  const ifModifiedSince = request.headers["if-modified-since"];
+  const notModified = ifNoneMatch
+    ? ifNoneMatch.split(",").map((value) => value.trim()).includes(etag)
+    : Boolean(ifModifiedSince) && Math.floor(stats.mtimeMs / 1000) <= Math.floor(Date.parse(ifModifiedSince) / 1000);
+  if (notModified) {
+    response.writeHead(304, headers);
+    response.end();
+    return;
+  }
+
+  response.writeHead(200, headers);
+  fs.createReadStream(filePath).pipe(response);
+}
+
+function serveEvents(request, response) {
+  response.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive"
+  });
+  response.write("retry: 3000\n\n");
+  eventClients.add(response);
+  request.on("close", () => eventClients.delete(response));
+}
+
+function broadcast(event, data) {
+  const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const client of eventClients) {
+    client.write(message);
+  }
+}
+
+function watchContent() {
+  let debounceId = null;
+  fs.watch(CONTENT_FILE, () => {
+    // Editors often write a file in several chunks
+    clearTimeout(debounceId);
+    debounceId = setTimeout(() => {
+      console.log(`content.json changed, notifying ${eventClients.size} client(s)`);
+      broadcast("content-updated", { changedAt: new Date().toISOString() });
+    }, 150);
+  });
+}
+
+function main() {
+  const port = parsePort(process.argv.slice(2));
+  const server = http.createServer((request, response) => {
+    if (request.method !== "GET" && request.method !== "HEAD") {
+      response.writeHead(405);
+      response.end();
+      return;
+    }
+    if (request.url.split("?")[0] === "/events") {
+      serveEvents(request, response);
+      return;
+    }
+    serveStatic(request, response);
+  });
+
+  setInterval(() => {
+    for (const client of eventClients) {
+      client.write(": heartbeat\n\n");
+    }
+  }, HEARTBEAT_MS).unref();
+
+  watchContent();
+  server.listen(port, () => {
+    console.log(`BGM dev server on http://localhost:${port}/ (SSE: /events)`);
+  });
+}
+
+main();
@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+// One-shot migration of legacy App-format content into the spec.md §3 shape.
+//   node scripts/migrate-content.js [input.json] [--out output.json] [--published-at <iso>]
+// Rewrites the input in place unless --out is given. Spec-shaped files are left alone.
+// Legacy files have no dates: --published-at gives the stories theirs, and without it
+// the validator reports each missing publishedAt for you to fill in.
+const fs = require("fs");
+const path = require("path");
+const { detectShape, toSpec } = require("../content-adapter.js");
+const { validateContent, formatIssue } = require("../content-validator.js");
+
+function parseArgs(argv) {
+  const args = { input: path.join(__dirname, "..", "content.json"), output: null, publishedAt: null };
+  for (let index = 0; index < argv.length; index += 1) {
+    if (argv[index] === "--out") {
+      args.output = argv[index + 1];
+      index += 1;
+    } else if (argv[index] === "--published-at") {
+      args.publishedAt = argv[index + 1];
+      index += 1;
+    } else {
+      args.input = argv[index];
+    }
+  }
+  args.input = path.resolve(args.input);
+  args.output = path.resolve(args.output || args.input);
+  return args;
+}
+
+function main() {
+  const { input, output, publishedAt } = parseArgs(process.argv.slice(2));
+  const legacy = JSON.parse(fs.readFileSync(input, "utf8"));
+  const shape = detectShape(legacy);
+
+  if (shape === "spec") {
+    console.log(`${path.relative(process.cwd(), input)} is already in spec shape; nothing to do`);
+    return;
+  }
+  if (shape === "unknown") {
+    console.error(`✗ ${path.relative(process.cwd(), input)}: unrecognized content shape`);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (publishedAt && Number.isNaN(Date.parse(publishedAt))) {
+    console.error(`✗ --published-at ${publishedAt} is not a date`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const migrated = toSpec(legacy, { publishedAt: publishedAt || undefined, generatedAt: new Date().toISOString() });
+  fs.writeFileSync(output, `${JSON.stringify(migrated, null, 2)}\n`);
+  console.log(`✓ wrote ${path.relative(process.cwd(), output)} (${migrated.articles.length} articles)`);
+
+  const result = validateContent(migrated);
+  for (const issue of [...result.errors, ...result.warnings]) {
+    console.warn(`  ${issue.severity} ${formatIssue(issue)}`);
+  }
+  if (!result.valid) {
+    process.exitCode = 1;
+  }
+}
+
+main();
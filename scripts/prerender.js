@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+// Writes one static page per article (article/<id>/index.html) plus sitemap.xml, so
+// crawlers and link unfurlers on GitHub Pages see real markup and head tags:
+//   node scripts/prerender.js [content.json] [--out dir] [--site-url https://example.org/]
+// Pages are rendered by BGM_Core itself, and the SPA hydrates over them on load
+// (BGM_Core#hydrateRoute). Absolute URLs come from meta.siteUrl, else --site-url.
+// Drafts and stories still under embargo get no page (publishing.js); rebuild once a
+// scheduled story's publishedAt has passed.
+const fs = require("fs");
+const path = require("path");
+const { toSpec } = require("../content-adapter.js");
+const { visibleContent } = require("../publishing.js");
+const { diffContent, hashString, signature } = require("../content-diff.js");
+const { renderHead, articlePath } = require("../head-manager.js");
+const { createEngine, ENGINE_SCRIPTS } = require("./render-engine.js");
+
+const ROOT = path.join(__dirname, "..");
+const PAGE_SCRIPTS = ["content-validator.js", ...ENGINE_SCRIPTS, "sw-client.js"];
+
+function parseArgs(argv) {
+  const args = { input: path.join(ROOT, "content.json"), out: ROOT, siteUrl: null };
+  for (let index = 0; index < argv.length; index += 1) {
+    if (argv[index] === "--out") {
+      args.out = path.resolve(argv[index + 1]);
+      index += 1;
+    } else if (argv[index] === "--site-url") {
+      args.siteUrl = argv[index + 1];
+      index += 1;
+    } else {
+      args.input = path.resolve(argv[index]);
+    }
+  }
+  return args;
+}
+
+function escapeHTML(value) {
+  return String(value ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#39;");
+}
+
+function renderArticle(engine, content, article) {
+  const { document } = engine;
+  const mount = document.querySelector("#app");
+  mount.dataset.prerendered = article.id;
+
+  // A fresh core per page numbers widget slots from 1, as the hydrating client will
+  const core = new engine.BGM_Core({ enableViewTransitions: false, devMode: false });
+  core.state.currentRoute = article.id;
+  core.store.data = content;
+  core.store.notify(diffContent(null, content));
+
+  return {
+    head: renderHead(core.routeHead(core.resolveRoute(article.id))),
+    routeTitle: document.querySelector("#route-title").textContent,
+    main: mount.innerHTML,
+    nav: document.querySelector("#bottom-nav").innerHTML
+  };
+}
+
+function indent(html, spaces) {
+  const pad = " ".repeat(spaces);
+  return html
+    .split("\n")
+    .map((line) => `${pad}${line}`)
+    .join("\n");
+}
+
+function renderPage({ head, routeTitle, main, nav }, { route, siteName, contentHash }) {
+  const base = "../".repeat(articlePath(route).split("/").filter(Boolean).length);
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1, viewport-fit=cover">
+    <base href="${base}">
+${indent(head, 4)}
+    <meta name="theme-color" content="#000000">
+    <link rel="stylesheet" href="style.css">
+    <link rel="manifest" href="manifest.webmanifest">
+    <link rel="alternate" type="application/rss+xml" title="${escapeHTML(siteName)}" href="feed.xml">
+    <link rel="alternate" type="application/atom+xml" title="${escapeHTML(siteName)}" href="atom.xml">
+    <link rel="alternate" type="application/feed+json" title="${escapeHTML(siteName)}" href="feed.json">
+</head>
+<body>
+    <div id="bgm-shell" class="shell">
+        <header id="top-bar" class="glass-panel">
+            <p id="brand-label" class="brand-eyebrow">${escapeHTML(siteName)}</p>
+            <h1 id="route-title">${escapeHTML(routeTitle)}</h1>
+        </header>
+        <div class="route-shell">
+            <main id="app" data-prerendered="${escapeHTML(route)}" data-content-hash="${contentHash}">${main}</main>
+        </div>
+        <nav id="bottom-nav" class="bottom-nav">${nav}</nav>
+        <p id="route-announcer" class="visually-hidden" aria-live="polite"></p>
+    </div>
+
+${PAGE_SCRIPTS.map((src) => `    <script src="${src}"></script>`).join("\n")}
+</body>
+</html>
+`;
+}
+
+function renderSitemap(content, siteUrl) {
+  const entries = [
+    { loc: siteUrl, lastmod: content.meta?.generatedAt },
+    ...content.articles.map((article) => ({
+      loc: new URL(articlePath(article.id), siteUrl).href,
+      lastmod: article.updatedAt || article.publishedAt
+    }))
+  ];
+  const urls = entries.map(({ loc, lastmod }) => [
+    "  <url>",
+    `    <loc>${escapeHTML(loc)}</loc>`,
+    lastmod ? `    <lastmod>${escapeHTML(lastmod)}</lastmod>` : null,
+    "  </url>"
+  ].filter(Boolean).join("\n"));
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.join("\n")}
+</urlset>
+`;
+}
+
+// Pages of articles that have since been removed; only directories holding nothing but our index.html
+function pruneStalePages(out, ids) {
+  const articleRoot = path.join(out, path.dirname(articlePath("x").replace(/\/$/, "")));
+  if (!fs.existsSync(articleRoot)) {
+    return [];
+  }
+  const live = new Set(ids.map((id) => path.basename(articlePath(id))));
+  const pruned = [];
+  for (const entry of fs.readdirSync(articleRoot, { withFileTypes: true })) {
+    const dir = path.join(articleRoot, entry.name);
+    if (!entry.isDirectory() || live.has(entry.name)) {
+      continue;
+    }
+    const files = fs.readdirSync(dir);
+    if (files.length === 1 && files[0] === "index.html") {
+      fs.rmSync(dir, { recursive: true });
+      pruned.push(entry.name);
+    }
+  }
+  return pruned;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  // As readers see it now, which is also what the client compares against before adopting a page
+  const content = visibleContent(toSpec(JSON.parse(fs.readFileSync(args.input, "utf8"))));
+  const siteUrl = content.meta?.siteUrl || args.siteUrl;
+  if (!siteUrl || !/^https?:\/\//.test(siteUrl)) {
+    console.error("✗ canonical links and sitemap.xml need an absolute site URL: set meta.siteUrl or pass --site-url");
+    process.exitCode = 1;
+    return;
+  }
+  const root = siteUrl.endsWith("/") ? siteUrl : `${siteUrl}/`;
+  // The client only adopts the markup when it loads this exact content
+  const contentHash = hashString(signature(content));
+  const engine = createEngine(root);
+
+  for (const article of content.articles || []) {
+    const file = path.join(args.out, articlePath(article.id), "index.html");
+    const page = renderPage(renderArticle(engine, content, article), {
+      route: article.id,
+      siteName: content.meta?.siteName,
+      contentHash
+    });
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, page);
+    console.log(`✓ ${path.relative(process.cwd(), file)}`);
+  }
+
+  for (const id of pruneStalePages(args.out, (content.articles || []).map((article) => article.id))) {
+    console.log(`✓ removed stale page for "${id}"`);
+  }
+
+  const sitemap = path.join(args.out, "sitemap.xml");
+  fs.writeFileSync(sitemap, renderSitemap(content, root));
+  console.log(`✓ ${path.relative(process.cwd(), sitemap)} (${(content.articles || []).length + 1} URLs)`);
+}
+
+main();
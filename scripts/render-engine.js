@@ -0,0 +1,118 @@
+// Loads the page scripts into a Node vm context over a minimal DOM shim, so build
+// scripts render with BGM_Core's own renderers instead of duplicating them.
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ROOT = path.join(__dirname, "..");
+// Run inside the page context, in page order
+const ENGINE_SCRIPTS = ["content-adapter.js", "content-diff.js", "publishing.js", "search-index.js", "head-manager.js", "responsive-images.js", "main.js"];
+
+// Just enough DOM for BGM_Core to render into. The renderers build HTML strings,
+// so elements only hold innerHTML/textContent; queries into rendered markup
+// (widget hydration, media binding) find nothing and slots stay placeholders.
+class ShimElement {
+  constructor(tagName, { id = "", className = "", parent = null } = {}) {
+    this.tagName = tagName.toUpperCase();
+    this.id = id;
+    this.className = className;
+    this.parentElement = parent;
+    this.innerHTML = "";
+    this.textContent = "";
+    this.dataset = {};
+    this.style = {};
+    this.scrollTop = 0;
+    this.attributes = new Map();
+    this.classList = { add() {}, remove() {}, toggle() {}, contains: () => false };
+  }
+
+  matches(selector) {
+    return selector === `#${this.id}` || this.className.split(" ").some((name) => selector === `.${name}`);
+  }
+
+  closest(selector) {
+    for (let node = this; node; node = node.parentElement) {
+      if (node.matches(selector)) {
+        return node;
+      }
+    }
+    return null;
+  }
+
+  querySelector() {
+    return null;
+  }
+
+  querySelectorAll() {
+    return [];
+  }
+
+  setAttribute(name, value) {
+    this.attributes.set(name, String(value));
+  }
+
+  getAttribute(name) {
+    return this.attributes.get(name) ?? null;
+  }
+
+  appendChild(child) {
+    return child;
+  }
+
+  addEventListener() {}
+
+  removeEventListener() {}
+
+  remove() {}
+}
+
+function createDocument(baseURI) {
+  const shell = new ShimElement("div", { id: "bgm-shell", className: "shell" });
+  const routeShell = new ShimElement("div", { className: "route-shell", parent: shell });
+  const elements = {
+    "#app": new ShimElement("main", { id: "app", parent: routeShell }),
+    "#bottom-nav": new ShimElement("nav", { id: "bottom-nav", className: "bottom-nav", parent: shell }),
+    "#route-title": new ShimElement("h1", { id: "route-title", parent: shell })
+  };
+  return {
+    baseURI,
+    title: "",
+    hidden: false,
+    head: new ShimElement("head"),
+    querySelector: (selector) => elements[selector] || null,
+    querySelectorAll: () => [],
+    createElement: (tagName) => new ShimElement(tagName),
+    createDocumentFragment: () => new ShimElement("#document-fragment"),
+    addEventListener() {},
+    removeEventListener() {}
+  };
+}
+
+// A window-like context with the page scripts loaded; BGM_PRERENDER keeps main.js from booting
+function createEngine(siteUrl) {
+  const context = {
+    document: createDocument(siteUrl),
+    location: new URL(siteUrl),
+    history: { replaceState() {} },
+    console,
+    URL,
+    URLSearchParams,
+    setTimeout,
+    clearTimeout,
+    requestAnimationFrame: (callback) => {
+      callback();
+      return 0;
+    },
+    addEventListener() {},
+    removeEventListener() {},
+    BGM_PRERENDER: true
+  };
+  context.window = context;
+  vm.createContext(context);
+  for (const file of ENGINE_SCRIPTS) {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), "utf8"), context, { filename: file });
+  }
+  return context;
+}
+
+module.exports = { createEngine, ENGINE_SCRIPTS };
@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+// Pre-push check for editors: node scripts/validate-content.js [path/to/content.json]
+// Exits non-zero when the document breaks the spec.md contract.
+const fs = require("fs");
+const path = require("path");
+const { validateContent, formatIssue } = require("../content-validator.js");
+
+function main() {
+  const target = path.resolve(process.argv[2] || path.join(__dirname, "..", "content.json"));
+
+  let content;
+  try {
+    content = JSON.parse(fs.readFileSync(target, "utf8"));
+  } catch (error) {
+    console.error(`✗ ${target}: ${error.message}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const result = validateContent(content);
+  for (const warning of result.warnings) {
+    console.warn(`  warning ${formatIssue(warning)}`);
+  }
+  for (const error of result.errors) {
+    console.error(`  error   ${formatIssue(error)}`);
+  }
+
+  if (!result.valid) {
+    console.error(`✗ ${path.relative(process.cwd(), target)}: ${result.errors.length} error(s)`);
+    process.exitCode = 1;
+    return;
+  }
+  console.log(`✓ ${path.relative(process.cwd(), target)} matches the content contract`);
+}
+
+main();
@@ -0,0 +1,248 @@
+// In-memory inverted index over articles[] for the #search route.
+// Loads as a classic script (window.BGM_Search) or through require().
+(function (root) {
+  const FIELD_WEIGHTS = {
+    title: 6,
+    tags: 4,
+    dek: 3,
+    kicker: 2,
+    authors: 2,
+    body: 1
+  };
+  const MATCH_WEIGHTS = { exact: 1, prefix: 0.7, fuzzy: 0.4 };
+  const STOP_WORDS = new Set(["a", "an", "and", "are", "as", "at", "be", "by", "for", "in", "is", "it", "of", "on", "or", "the", "to", "with"]);
+  const SNIPPET_RADIUS = 80;
+
+  function normalize(text) {
+    return String(text ?? "")
+      .normalize("NFKD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase();
+  }
+
+  function tokenize(text) {
+    return normalize(text)
+      .split(/[^a-z0-9]+/)
+      .filter((token) => token && !STOP_WORDS.has(token));
+  }
+
+  function escapeHTML(value) {
+    return String(value ?? "")
+      .replaceAll("&", "&amp;")
+      .replaceAll("<", "&lt;")
+      .replaceAll(">", "&gt;")
+      .replaceAll('"', "&quot;")
+      .replaceAll("'", "&#39;");
+  }
+
+  // Levenshtein distance, giving up once it exceeds maxDistance.
+  function editDistance(a, b, maxDistance) {
+    if (Math.abs(a.length - b.length) > maxDistance) {
+      return maxDistance + 1;
+    }
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i += 1) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j += 1) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        rowMin = Math.min(rowMin, current[j]);
+      }
+      if (rowMin > maxDistance) {
+        return maxDistance + 1;
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  function fuzzyBudget(token) {
+    if (token.length >= 8) return 2;
+    if (token.length >= 4) return 1;
+    return 0;
+  }
+
+  function articleFields(article) {
+    const bodyText = (article.blocks || [])
+      .flatMap((block) => [
+        block.text,
+        block.title,
+        block.cite,
+        block.caption,
+        ...(Array.isArray(block.items) ? block.items.map((item) => (typeof item === "string" ? item : item?.text)) : [])
+      ])
+      .filter((text) => typeof text === "string" && text)
+      .map((text) => text.replace(/\[\^[\w-]+\]/g, ""))
+      .join(" ");
+    return {
+      title: article.title || "",
+      dek: article.dek || "",
+      kicker: article.kicker || "",
+      tags: (article.tags || []).join(" "),
+      authors: (article.authors || []).join(" "),
+      body: bodyText
+    };
+  }
+
+  /**
+   * Wraps every word starting with one of `terms` in <mark>. Returns escaped HTML.
+   */
+  function highlight(text, terms) {
+    const escaped = escapeHTML(text);
+    if (terms.length === 0) {
+      return escaped;
+    }
+    return escaped.replace(/[\p{L}\p{N}]+/gu, (word) => {
+      const normalized = normalize(word);
+      return terms.some((term) => normalized.startsWith(term)) ? `<mark>${word}</mark>` : word;
+    });
+  }
+
+  class SearchIndex {
+    constructor(articles = []) {
+      this.build(articles);
+    }
+
+    build(articles) {
+      this.articles = new Map();
+      this.fields = new Map();
+      this.postings = new Map();
+
+      for (const article of articles || []) {
+        if (!article?.id) {
+          continue;
+        }
+        const fields = articleFields(article);
+        this.articles.set(article.id, article);
+        this.fields.set(article.id, fields);
+        for (const [field, text] of Object.entries(fields)) {
+          for (const term of tokenize(text)) {
+            if (!this.postings.has(term)) {
+              this.postings.set(term, new Map());
+            }
+            const byArticle = this.postings.get(term);
+            byArticle.set(article.id, (byArticle.get(article.id) || 0) + FIELD_WEIGHTS[field]);
+          }
+        }
+      }
+      this.terms = [...this.postings.keys()].sort();
+      return this;
+    }
+
+    get size() {
+      return this.articles.size;
+    }
+
+    // Index terms matching a query token, with how well they match.
+    expand(token) {
+      const matches = new Map();
+      if (this.postings.has(token)) {
+        matches.set(token, MATCH_WEIGHTS.exact);
+      }
+
+      let low = 0;
+      let high = this.terms.length;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (this.terms[mid] < token) low = mid + 1;
+        else high = mid;
+      }
+      for (let index = low; index < this.terms.length && this.terms[index].startsWith(token); index += 1) {
+        if (!matches.has(this.terms[index])) {
+          matches.set(this.terms[index], MATCH_WEIGHTS.prefix);
+        }
+      }
+
+      const budget = fuzzyBudget(token);
+      if (budget > 0) {
+        for (const term of this.terms) {
+          if (!matches.has(term) && editDistance(token, term, budget) <= budget) {
+            matches.set(term, MATCH_WEIGHTS.fuzzy);
+          }
+        }
+      }
+      return matches;
+    }
+
+    /**
+     * Every query token must match (exactly, as a prefix, or within a small
+     * edit distance); results are ranked by field-weighted score.
+     * @returns {Array<{ id: string, article: object, score: number, terms: string[], snippet: string, titleHtml: string }>}
+     */
+    search(query, { limit = 20 } = {}) {
+      const tokens = tokenize(query);
+      if (tokens.length === 0) {
+        return [];
+      }
+
+      let scores = null;
+      const matchedTerms = new Map();
+      for (const token of tokens) {
+        const tokenScores = new Map();
+        for (const [term, weight] of this.expand(token)) {
+          for (const [id, fieldScore] of this.postings.get(term)) {
+            tokenScores.set(id, Math.max(tokenScores.get(id) || 0, fieldScore * weight));
+            if (!matchedTerms.has(id)) {
+              matchedTerms.set(id, new Set());
+            }
+            matchedTerms.get(id).add(term);
+          }
+        }
+        if (scores === null) {
+          scores = tokenScores;
+          continue;
+        }
+        for (const id of [...scores.keys()]) {
+          if (tokenScores.has(id)) {
+            scores.set(id, scores.get(id) + tokenScores.get(id));
+          } else {
+            scores.delete(id);
+          }
+        }
+      }
+
+      return [...scores.entries()]
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, limit)
+        .map(([id, score]) => {
+          const terms = [...matchedTerms.get(id)];
+          return {
+            id,
+            article: this.articles.get(id),
+            score,
+            terms,
+            titleHtml: highlight(this.fields.get(id).title, terms),
+            snippet: this.snippet(id, terms)
+          };
+        });
+    }
+
+    snippet(id, terms) {
+      const fields = this.fields.get(id);
+      const candidates = [fields.body, fields.dek].filter(Boolean);
+      for (const text of candidates) {
+        const normalized = normalize(text);
+        const position = Math.min(
+          ...terms.map((term) => normalized.search(new RegExp(`(^|[^a-z0-9])${term}`))).filter((index) => index >= 0)
+        );
+        if (!Number.isFinite(position)) {
+          continue;
+        }
+        const start = Math.max(0, position - SNIPPET_RADIUS);
+        const end = Math.min(text.length, position + SNIPPET_RADIUS);
+        const excerpt = `${start > 0 ? "…" : ""}${text.slice(start, end).trim()}${end < text.length ? "…" : ""}`;
+        return highlight(excerpt, terms);
+      }
+      return highlight(fields.dek || fields.body.slice(0, SNIPPET_RADIUS * 2), terms);
+    }
+  }
+
+  const api = { SearchIndex, tokenize, highlight };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  } else {
+    root.BGM_Search = api;
+  }
+})(globalThis);
@@ -0,0 +1,69 @@
+// Registers sw.js and surfaces its lifecycle to the page:
+// - a "new version" toast once an updated worker is waiting;
+// - a `bgm:content-updated` window event when the worker revalidates content.json.
+(function () {
+  if (!("serviceWorker" in navigator)) {
+    return;
+  }
+
+  let isReloading = false;
+
+  function showUpdateToast(worker) {
+    if (document.querySelector("#bgm-update-toast")) {
+      return;
+    }
+    const toast = document.createElement("div");
+    toast.id = "bgm-update-toast";
+    toast.className = "update-toast";
+    toast.setAttribute("role", "status");
+    toast.innerHTML = `
+      <span>A new version is available.</span>
+      <button type="button" class="update-toast-action">Reload</button>
+    `;
+    toast.querySelector("button").addEventListener("click", () => {
+      worker.postMessage({ type: "SKIP_WAITING" });
+    });
+    document.body.append(toast);
+  }
+
+  function trackInstalling(registration) {
+    const worker = registration.installing;
+    if (!worker) {
+      return;
+    }
+    worker.addEventListener("statechange", () => {
+      // Only an update if a previous worker already controls the page.
+      if (worker.state === "installed" && navigator.serviceWorker.controller) {
+        showUpdateToast(worker);
+      }
+    });
+  }
+
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (isReloading) {
+      return;
+    }
+    isReloading = true;
+    window.location.reload();
+  });
+
+  navigator.serviceWorker.addEventListener("message", (event) => {
+    if (event.data?.type === "CONTENT_UPDATED") {
+      window.dispatchEvent(new CustomEvent("bgm:content-updated"));
+    }
+  });
+
+  window.addEventListener("load", () => {
+    navigator.serviceWorker
+      .register("sw.js")
+      .then((registration) => {
+        if (registration.waiting && navigator.serviceWorker.controller) {
+          showUpdateToast(registration.waiting);
+        }
+        registration.addEventListener("updatefound", () => trackInstalling(registration));
+      })
+      .catch((error) => {
+        console.warn("[sw-client] service worker registration failed", error);
+      });
+  });
+})();
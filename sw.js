@@ -1,4 +1,255 @@
+// Bump CACHE_VERSION whenever a shell file changes so readers get the update prompt.
+const CACHE_VERSION = 'v16';
+const SHELL_CACHE = `bgm-shell-${CACHE_VERSION}`;
+const CONTENT_CACHE = 'bgm-content';
+const IMAGE_CACHE = 'bgm-images';
+const MAX_IMAGE_ENTRIES = 60;
+// Files pinned for saved stories, outside the image LRU; never versioned away
+const SAVED_CACHE = 'bgm-saved';
+// One manifest per saved story under this path lists the URLs it pinned
+const PIN_MANIFEST_PATH = '__pins/';
+const OFFLINE_URL = 'offline.html';
+
+const SHELL_ASSETS = [
+    './',
+    'index.html',
+    'main.js',
+    'app.js',
+    'content-adapter.js',
+    'content-validator.js',
+    'content-diff.js',
+    'publishing.js',
+    'search-index.js',
+    'head-manager.js',
+    'responsive-images.js',
+    'sw-client.js',
+    'style.css',
+    'styles.css',
+    'manifest.webmanifest',
+    OFFLINE_URL
+];
+
+self.addEventListener('install', (event) => {
+    // No skipWaiting here: the page decides when to swap via the update prompt.
+    event.waitUntil(caches.open(SHELL_CACHE).then((cache) => cache.addAll(SHELL_ASSETS)));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keys = await caches.keys();
+        await Promise.all(
+            keys
+                .filter((key) => key.startsWith('bgm-shell-') && key !== SHELL_CACHE)
+                .map((key) => caches.delete(key))
+        );
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    } else if (event.data?.type === 'PIN_STORY') {
+        event.waitUntil(pinStory(event.data.id, event.data.urls || []));
+    } else if (event.data?.type === 'UNPIN_STORY') {
+        event.waitUntil(unpinStory(event.data.id));
+    }
+});
+
 self.addEventListener('fetch', (event) => {
-    // Simple pass-through for now to satisfy PWA requirements
-    event.respondWith(fetch(event.request));
+    const { request } = event;
+    // Leave the dev server's /events stream (and anything non-GET) to the network.
+    if (request.method !== 'GET' || request.headers.get('accept') === 'text/event-stream') {
+        return;
+    }
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin && url.pathname.endsWith('/content.json')) {
+        event.respondWith(contentStaleWhileRevalidate(event, url));
+    } else if (request.cache === 'no-store') {
+        // Live widget sources: a cached copy would defeat the point
+        return;
+    } else if (request.destination === 'image') {
+        event.respondWith(imageCacheFirst(request));
+    } else if (request.mode === 'navigate') {
+        event.respondWith(navigationNetworkFirst(request));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(shellCacheFirst(request));
+    }
 });
+
+// The store appends a time-bucketed ?v= to dodge HTTP caches; key the cache on the
+// bare path so every bucket shares one entry, and tell pages when the revalidated
+// copy differs so they can reload without waiting for the next poll.
+async function contentStaleWhileRevalidate(event, url) {
+    const cache = await caches.open(CONTENT_CACHE);
+    const cacheKey = `${url.origin}${url.pathname}`;
+    const cached = await cache.match(cacheKey);
+    // Read now: once `cached` is handed to respondWith its body is used and can't be cloned
+    const stale = cached ? await cached.clone().text() : null;
+
+    const revalidate = (async () => {
+        const response = await fetch(event.request, { cache: 'no-store' });
+        if (!response.ok) {
+            return response;
+        }
+        const fresh = await response.clone().text();
+        await cache.put(cacheKey, response.clone());
+        if (stale !== null && stale !== fresh) {
+            await broadcast({ type: 'CONTENT_UPDATED' });
+        }
+        return response;
+    })();
+
+    if (cached) {
+        // The page already has the cached copy; a failed refresh (offline, most often) is only logged
+        event.waitUntil(revalidate.catch((error) => {
+            console.warn('[sw] content.json revalidation failed', error);
+        }));
+        return cached;
+    }
+    return revalidate;
+}
+
+async function imageCacheFirst(request) {
+    const pinned = await caches.match(request, { cacheName: SAVED_CACHE });
+    if (pinned) {
+        return pinned;
+    }
+    const cache = await caches.open(IMAGE_CACHE);
+    const cached = await cache.match(request);
+    if (cached) {
+        // Re-insert so the Cache API's key order doubles as recency order.
+        await cache.delete(request);
+        await cache.put(request, cached.clone());
+        return cached;
+    }
+
+    let response;
+    try {
+        response = await fetch(request);
+    } catch (error) {
+        // Offline: a saved story's image at the width it was pinned in beats a broken one.
+        // CDN renditions differ only in their query string.
+        const rendition = await caches.match(request, { cacheName: SAVED_CACHE, ignoreSearch: true });
+        if (rendition) {
+            return rendition;
+        }
+        throw error;
+    }
+    // Cross-origin CDN images arrive opaque (status 0) but are still worth keeping.
+    if (response.ok || response.type === 'opaque') {
+        await cache.put(request, response.clone());
+        await trimCache(cache, MAX_IMAGE_ENTRIES);
+    }
+    return response;
+}
+
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    const overflow = keys.length - maxEntries;
+    for (let index = 0; index < overflow; index += 1) {
+        await cache.delete(keys[index]);
+    }
+}
+
+async function navigationNetworkFirst(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(SHELL_CACHE);
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cache = await caches.open(SHELL_CACHE);
+        // Shell pages, or a saved story's prerendered page
+        const cached = (await cache.match(request, { ignoreSearch: true }))
+            || (await caches.match(request, { cacheName: SAVED_CACHE, ignoreSearch: true }));
+        if (cached) {
+            return cached;
+        }
+        // Hash routes all live on the shell; anything else was never fetched online.
+        const isShell = new URL(request.url).pathname.replace(/index\.html$/, '') === new URL(self.registration.scope).pathname;
+        return (isShell && (await cache.match('index.html'))) || cache.match(OFFLINE_URL);
+    }
+}
+
+// Saved stories (main.js) send the files they need offline. Pinning again replaces the
+// story's list; a file leaves the cache once no saved story lists it.
+async function pinStory(id, urls) {
+    const cache = await caches.open(SAVED_CACHE);
+    const previous = await pinnedUrls(cache, id);
+    await cache.put(manifestKey(id), new Response(JSON.stringify(urls), {
+        headers: { 'Content-Type': 'application/json' }
+    }));
+    await Promise.all(urls.map(async (url) => {
+        if (await cache.match(url)) {
+            return;
+        }
+        try {
+            const response = await fetchForPin(url);
+            if (response.ok || response.type === 'opaque') {
+                await cache.put(url, response);
+            }
+        } catch (error) {
+            // Offline or gone; the story's text is still in the page's saved copy
+        }
+    }));
+    await releaseUnpinned(cache, previous.filter((url) => !urls.includes(url)));
+}
+
+async function unpinStory(id) {
+    const cache = await caches.open(SAVED_CACHE);
+    const urls = await pinnedUrls(cache, id);
+    await cache.delete(manifestKey(id));
+    await releaseUnpinned(cache, urls);
+}
+
+// Whatever the reader already loaded is reused; CDN images are asked for with CORS where
+// the host allows it, since opaque responses weigh far more against the storage quota
+async function fetchForPin(url) {
+    const cached = await caches.match(url);
+    if (cached) {
+        return cached.clone();
+    }
+    if (new URL(url).origin === self.location.origin) {
+        return fetch(url);
+    }
+    return fetch(url, { mode: 'cors' }).catch(() => fetch(url, { mode: 'no-cors' }));
+}
+
+async function releaseUnpinned(cache, urls) {
+    const manifests = (await cache.keys()).filter((key) => key.url.startsWith(manifestKey('')));
+    const lists = await Promise.all(manifests.map(async (key) => (await cache.match(key)).json()));
+    const stillPinned = new Set(lists.flat());
+    await Promise.all(urls.filter((url) => !stillPinned.has(url)).map((url) => cache.delete(url)));
+}
+
+async function pinnedUrls(cache, id) {
+    const manifest = await cache.match(manifestKey(id));
+    return manifest ? manifest.json() : [];
+}
+
+function manifestKey(id) {
+    return new URL(`${PIN_MANIFEST_PATH}${encodeURIComponent(id)}`, self.registration.scope).href;
+}
+
+async function shellCacheFirst(request) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) {
+        return cached;
+    }
+    try {
+        return await fetch(request);
+    } catch (error) {
+        return new Response('', { status: 503, statusText: 'Offline' });
+    }
+}
+
+async function broadcast(message) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    for (const client of clients) {
+        client.postMessage(message);
+    }
+}